@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command line entry of blockly-diff, for use from git.
+ *
+ *   blockly-diff merge %O %A %B
+ *     Merge driver: three-way merge of workspace files in the mergeable
+ *     format, the result is written to %A. Exits with 1 when conflicts
+ *     remain, they are in the conflicts of the result file, or when the
+ *     result has connections that the block definitions do not allow.
+ *
+ *   blockly-diff difftool $LOCAL $REMOTE
+ *     Difftool: serves the editor and the two files, and opens the editor
+ *     with local as previous and remote as mine. Runs until stopped.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const http_server = require('http-server');
+const opener = require('opener');
+const { expand_mergeable } = require('../diff.js');
+const { merge_mergeable } = require('../merge.js');
+
+function usage()
+{
+  console.error('usage: blockly-diff merge <base> <mine> <theirs>')
+  console.error('       blockly-diff difftool <local> <remote>')
+  process.exit(2)
+}
+
+function read_workspace(file_name)
+{
+  var text = fs.readFileSync(file_name, 'utf8')
+  // git gives an empty base when the file was added on both branches
+  if (!text.trim())
+  {
+    return {top_blocks: [], mergeable: true}
+  }
+  var json = JSON.parse(text)
+  if (!json.mergeable)
+  {
+    throw new Error(file_name + ' is not in the mergeable format')
+  }
+  return json
+}
+
+/**
+ * Git merge driver, writes the merge of base, mine and theirs to mine.
+ * @return {number} Exit code, 0 without conflicts.
+ */
+function merge(base_file, mine_file, theirs_file)
+{
+  try
+  {
+    var base = read_workspace(base_file)
+    var mine = read_workspace(mine_file)
+    var theirs = read_workspace(theirs_file)
+  }
+  catch (error)
+  {
+    // leave the file as it is, git reports the merge as failed
+    console.error('blockly-diff: ' + error.message)
+    return 2
+  }
+  var result = merge_mergeable(base, mine, theirs)
+  fs.writeFileSync(mine_file, JSON.stringify(result.merged, undefined, 2) + '\n')
+  for (const conflict of result.conflicts)
+  {
+    console.error('blockly-diff: conflict (' + conflict.kind + ') in block ' + conflict.id +
+                  (conflict.slot ? ' ' + conflict.slot : ''))
+  }
+  var violations = check_merged(result.merged)
+  for (const violation of violations)
+  {
+    console.error('blockly-diff: ' + violation.type + ' ' + violation.id + ' in ' + violation.parent_type + ' ' +
+                  violation.parent + '.' + violation.input + ': ' + violation.reason)
+  }
+  return result.conflicts.length || violations.length ? 1 : 0
+}
+
+/**
+ * The connections of a merged file that the block definitions of its editor
+ * (in editors/) do not allow, see check_connections.
+ * @param {!Object} merged The merged file.
+ * @return {!Array} The violations, none when the editor is not known.
+ */
+function check_merged(merged)
+{
+  // loading Blockly is slow, only the merge needs it
+  global.Blockly = require('blockly')
+  const { check_connections } = require('../validate.js')
+  if (merged.editor && merged.editor.name)
+  {
+    var editors = path.join(__dirname, '..', 'editors')
+    var file = path.join(editors, merged.editor.name, 'blocks.js')
+    if (!file.startsWith(editors + path.sep) || !fs.existsSync(file))
+    {
+      console.error('blockly-diff: unknown editor ' + merged.editor.name + ', the connections are not checked')
+      return []
+    }
+    // Blockly is a global here, like in the editor
+    vm.runInThisContext(fs.readFileSync(file, 'utf8').replace("import * as Blockly from 'blockly';", ''),
+                        {filename: file})
+  }
+  return check_connections(expand_mergeable(merged)).violations
+}
+
+/**
+ * Git difftool, serves the editor (like npm start) and the two files under
+ * a temporary url, then opens the editor on them in the browser. The files
+ * are read at the start, git may remove them while the editor is open.
+ */
+function difftool(local_file, remote_file)
+{
+  var prefix = '/difftool/' + crypto.randomBytes(8).toString('hex') + '/'
+  var files = {
+    'previous/': {name: path.basename(local_file), text: fs.readFileSync(local_file, 'utf8')},
+    'mine/': {name: path.basename(remote_file), text: fs.readFileSync(remote_file, 'utf8')}
+  }
+  var urls = {}
+  for (const side of Object.keys(files))
+  {
+    urls[side] = prefix + side + encodeURIComponent(files[side].name)
+  }
+
+  var server = http_server.createServer({
+    root: path.join(__dirname, '..'),
+    cache: -1,
+    before: [function (req, res) {
+      var side = Object.keys(urls).find(side => urls[side] == req.url)
+      if (!side)
+      {
+        res.emit('next')
+        return
+      }
+      var type = path.extname(files[side].name).toLowerCase() == '.xml' ? 'application/xml' : 'application/json'
+      res.writeHead(200, {'Content-Type': type + '; charset=utf-8'})
+      res.end(files[side].text)
+    }]
+  })
+  server.listen(0, '127.0.0.1', function () {
+    var port = server.server.address().port
+    var url = 'http://127.0.0.1:' + port + '/editor.html?previous=' + encodeURIComponent(urls['previous/']) +
+              '&mine=' + encodeURIComponent(urls['mine/'])
+    console.log('blockly-diff: ' + url)
+    console.log('blockly-diff: press ctrl-c to stop')
+    opener(url)
+  })
+}
+
+function main(args)
+{
+  if (args[0] == 'merge' && args.length == 4)
+  {
+    process.exit(merge(args[1], args[2], args[3]))
+  }
+  else if (args[0] == 'difftool' && args.length == 3)
+  {
+    difftool(args[1], args[2])
+  }
+  else
+  {
+    usage()
+  }
+}
+
+main(process.argv.slice(2))
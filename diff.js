@@ -0,0 +1,1592 @@
+/**
+ * @fileoverview Headless diff of two serialized Blockly workspaces.
+ * Works on the json of Blockly.serialization.workspaces.save and on the
+ * mergeable format written by save_mergeable, so no rendered workspace
+ * is needed. editor.js only renders the result.
+ */
+'use strict';
+
+function intersection(setA, setB) {
+  const _intersection = new Set();
+  for (const elem of setB) {
+    if (setA.has(elem)) {
+      _intersection.add(elem);
+    }
+  }
+  return _intersection;
+}
+
+function difference(setA, setB) {
+  const _difference = new Set(setA);
+  for (const elem of setB) {
+    _difference.delete(elem);
+  }
+  return _difference;
+}
+
+function deep_equal(a, b)
+{
+  if (a === b)
+  {
+    return true
+  }
+  if (typeof(a) != 'object' || typeof(b) != 'object' || a == null || b == null)
+  {
+    return false
+  }
+  if (Array.isArray(a) != Array.isArray(b))
+  {
+    return false
+  }
+  var keys_a = Object.keys(a)
+  var keys_b = Object.keys(b)
+  if (keys_a.length != keys_b.length)
+  {
+    return false
+  }
+  for (var i=0; i<keys_a.length; i++)
+  {
+    var key = keys_a[i]
+    if (!Object.prototype.hasOwnProperty.call(b, key) || !deep_equal(a[key], b[key]))
+    {
+      return false
+    }
+  }
+  return true
+}
+
+function inject_blocks(obj, saved_blocks)
+{
+    var properties = Object.getOwnPropertyNames(obj)
+    for (var j=0; j<properties.length;j++)
+	  {
+        if (properties[j]=='block')
+        {
+	        obj.block = saved_blocks[obj.block.id]
+        }
+        // kind of strange that the type can be object and the value null
+        else if (typeof(obj[properties[j]])=='object' && obj[properties[j]]!=null)
+        {
+          inject_blocks(obj[properties[j]], saved_blocks)
+        }
+        else
+        {
+          // value, no need to process
+        }
+	  }
+}
+
+/**
+ * Rebuild the nested json of a mergeable save, the input is not modified.
+ * @param {!Object} saved_blocks Block id to block plus top_blocks.
+ * @return {!Object} Json as Blockly.serialization.workspaces.save.
+ */
+function expand_mergeable(saved_blocks)
+{
+  var copy = JSON.parse(JSON.stringify(saved_blocks))
+  var keys = Object.keys(copy)
+  for (var i=0; i<keys.length;i++)
+  {
+    inject_blocks(copy[keys[i]], copy)
+  }
+  var json = {
+    'blocks': {
+      'languageVersion': 0,
+      'blocks': copy['top_blocks'].map(id => copy[id]).filter(block => block)
+    }
+  }
+  if (copy.variables)
+  {
+    json.variables = copy.variables
+  }
+  if (copy.editor)
+  {
+    json.editor = copy.editor
+  }
+  return json
+}
+
+/**
+ * Flatten a serialized workspace (plain or mergeable) to one record per
+ * block, with the children replaced by their ids.
+ * @param {!Object} json Serialized workspace.
+ * @return {!Object} Records by id, top block ids, variables and editor.
+ */
+function flatten_workspace(json)
+{
+  if (json.mergeable)
+  {
+    json = expand_mergeable(json)
+  }
+  var flat = {
+    blocks: Object.create(null),
+    top_blocks: [],
+    variables: json.variables || [],
+    editor: json.editor
+  }
+  var top_blocks = (json.blocks && json.blocks.blocks) || []
+  for (var i=0; i<top_blocks.length; i++)
+  {
+    flatten_block(top_blocks[i], null, null, flat)
+    flat.top_blocks.push(top_blocks[i].id)
+  }
+  return flat
+}
+
+function flatten_block(state, parent, input, flat)
+{
+  var record = {
+    id: state.id,
+    type: state.type,
+    shadow: false,
+    parent: parent,
+    input: input,
+    fields: state.fields || {},
+    extraState: state.extraState,
+    comment: state.icons && state.icons.comment ? state.icons.comment.text : null,
+    collapsed: !!state.collapsed,
+    // Blockly 11 replaced enabled by a list of reasons
+    enabled: state.enabled !== false && !(state.disabledReasons && state.disabledReasons.length),
+    // not saved when it is the default of the block type
+    inline: state.inline === undefined ? null : state.inline,
+    // input name (or 'next') to the id of the connected block
+    connections: {}
+  }
+  flat.blocks[state.id] = record
+
+  var inputs = state.inputs || {}
+  for (const name of Object.keys(inputs))
+  {
+    flatten_connection(record, name, inputs[name], flat)
+  }
+  if (state.next)
+  {
+    flatten_connection(record, 'next', state.next, flat)
+  }
+  return record
+}
+
+function flatten_connection(record, name, connection, flat)
+{
+  // a real block hides the shadow, the same as targetBlock() on a workspace
+  var target = connection.block || connection.shadow
+  if (!target)
+  {
+    return
+  }
+  var child = flatten_block(target, record.id, name, flat)
+  child.shadow = !connection.block
+  record.connections[name] = child.id
+}
+
+/**
+ * Index the block states of a serialized workspace on their id.
+ * @param {!Object} json Serialized workspace (not mergeable).
+ * @return {!Object} Id to the state and where it is: holder[key] is the
+ *     state, holder is the list of top blocks or the connection object of
+ *     the parent state.
+ */
+function index_states(json)
+{
+  var states = Object.create(null)
+  var top_blocks = (json.blocks && json.blocks.blocks) || []
+  top_blocks.forEach((state, i) => index_block_states(states, state, top_blocks, i, null))
+  return states
+}
+
+/**
+ * Add a block state and the states in its inputs to an index of
+ * index_states, replacing the entries they had.
+ * @param {!Object} states Result of index_states, updated in place.
+ * @param {!Object} state Block state.
+ * @param {!Object} holder Where the state is, see index_states.
+ * @param {string|number} key holder[key] is the state.
+ * @param {?Object} parent State of the parent block, null for a top block.
+ */
+function index_block_states(states, state, holder, key, parent)
+{
+  states[state.id] = {state: state, holder: holder, key: key, parent: parent}
+  for (const connection of Object.values(state.inputs || {}).concat(state.next ? [state.next] : []))
+  {
+    for (const kind of ['block', 'shadow'])
+    {
+      if (connection[kind])
+      {
+        index_block_states(states, connection[kind], connection, kind, state)
+      }
+    }
+  }
+}
+
+/**
+ * Update a flattened workspace after some of its blocks changed, without
+ * flattening the whole workspace again. Only the stacks that held or hold
+ * one of the blocks are serialized again.
+ * @param {!Object} flat Result of flatten_workspace, updated in place.
+ * @param {!Array<string>} ids Ids of the created, deleted, changed or moved
+ *     blocks.
+ * @param {function(string): ?string} root_of Id of the top block of the stack
+ *     that has the block now, null if the block is gone.
+ * @param {function(string): ?Object} save_stack Serialized stack of a top
+ *     block, null if it is no top block anymore.
+ * @param {!Array<string>} top_blocks Ids of the top blocks now, in order.
+ * @param {Set<string>=} opt_changed Gets the ids of the blocks that were or
+ *     are in the stacks serialized again, see update_diff_flat.
+ * @return {!Object} The flattened workspace.
+ */
+function update_flat_stacks(flat, ids, root_of, save_stack, top_blocks, opt_changed)
+{
+  var changed = opt_changed || new Set()
+  var roots = new Set()
+  for (const id of ids)
+  {
+    var record = flat.blocks[id]
+    while (record && record.parent)
+    {
+      record = flat.blocks[record.parent]
+    }
+    if (record)
+    {
+      roots.add(record.id)
+    }
+    var root = root_of(id)
+    if (root)
+    {
+      roots.add(root)
+    }
+  }
+  for (const id of roots)
+  {
+    remove_stack(flat, id, changed)
+  }
+  for (const id of roots)
+  {
+    var state = save_stack(id)
+    if (state)
+    {
+      flatten_block(state, null, null, flat)
+      stack_block_ids(flat, id).forEach(id => changed.add(id))
+    }
+  }
+  // stacks that are gone without an event for them
+  var top = new Set(top_blocks)
+  for (const id of Object.keys(flat.blocks))
+  {
+    if (flat.blocks[id] && flat.blocks[id].parent == null && !top.has(id))
+    {
+      remove_stack(flat, id, changed)
+    }
+  }
+  flat.top_blocks = top_blocks.filter(id => flat.blocks[id])
+  return flat
+}
+
+function remove_stack(flat, id, changed)
+{
+  for (const block_id of stack_block_ids(flat, id))
+  {
+    delete flat.blocks[block_id]
+    changed.add(block_id)
+  }
+}
+
+// the id of a block and of all blocks in its inputs and next, in the
+// order of flatten_block
+function stack_block_ids(flat, id, opt_ids)
+{
+  var ids = opt_ids || []
+  var record = flat.blocks[id]
+  if (record)
+  {
+    ids.push(id)
+    for (const child of Object.values(record.connections))
+    {
+      stack_block_ids(flat, child, ids)
+    }
+  }
+  return ids
+}
+
+/**
+ * Diff two serialized workspaces.
+ * @param {!Object} previous_json Serialized previous workspace.
+ * @param {!Object} mine_json Serialized mine workspace.
+ * @param {Object=} options See DEFAULT_DIFF_OPTIONS.
+ * @return {!Object} The change set: added, removed and common block ids,
+ *     the pairs matched with different ids (on content, shadows by input) and
+ *     the changed fields, connections, extraState, properties and shadow
+ *     replacements of the paired blocks. Each change has the mine id and
+ *     the previous_id of its block. A field change has a kind of 'changed',
+ *     'added' or 'removed'. The properties are the comment, collapsed,
+ *     enabled and inline state. The variables are the changes of the
+ *     workspace variables, the procedures the changed signatures with the
+ *     mine call blocks affected by them.
+ */
+function diff_workspaces(previous_json, mine_json, options)
+{
+  return diff_flat(flatten_workspace(previous_json), flatten_workspace(mine_json), options)
+}
+
+const DEFAULT_DIFF_OPTIONS = {
+  // minimum similarity (0 to 1) to pair blocks with different ids, above 1
+  // turns the matching on content off
+  similarity: 0.7,
+  ignore: {
+    // field names ('NAME_LABEL') or block type and field name ('getSpot.NAME_LABEL')
+    fields: [],
+    // block types of which nothing is reported
+    types: [],
+    comments: false,
+    // text fields that only differ in whitespace are equal
+    whitespace: false,
+    // numbers that differ no more than this are equal
+    number_tolerance: 0
+  }
+}
+
+function complete_diff_options(options)
+{
+  options = Object.assign({}, DEFAULT_DIFF_OPTIONS, options)
+  options.ignore = Object.assign({}, DEFAULT_DIFF_OPTIONS.ignore, options.ignore)
+  return options
+}
+
+function diff_flat(previous, mine, options)
+{
+  options = complete_diff_options(options)
+  var mine_ids = real_block_ids(mine)
+  var previous_ids = real_block_ids(previous)
+  var common = intersection(mine_ids, previous_ids)
+
+  var pairs = Array.from(common).map(id => ({previous: id, mine: id}))
+  var added = difference(mine_ids, previous_ids)
+  var removed = difference(previous_ids, mine_ids)
+  for (const pair of match_content(previous, mine, removed, added, pairs, options.similarity))
+  {
+    pairs.push(pair)
+    removed.delete(pair.previous)
+    added.delete(pair.mine)
+  }
+  var shadows = match_shadows(previous, mine, pairs)
+  pairs.push(...shadows.pairs)
+
+  var diff = {
+    added: Array.from(added).concat(shadows.added),
+    removed: Array.from(removed).concat(shadows.removed),
+    common: pairs.filter(pair => pair.previous == pair.mine).map(pair => pair.mine),
+    // blocks paired with a different id on each side
+    matched: pairs.filter(pair => pair.previous != pair.mine),
+    fields: [],
+    connections: [],
+    extra_state: [],
+    properties: [],
+    shadows: shadows.replaced,
+    moved: [],
+    variables: [],
+    procedures: []
+  }
+
+  var variables = diff_variables(previous.variables, mine.variables)
+  diff.variables = variables.changes
+
+  // previous id to mine id, to compare the connections
+  var mine_id_of = Object.create(null)
+  for (const pair of pairs)
+  {
+    mine_id_of[pair.previous] = pair.mine
+  }
+
+  for (const pair of pairs)
+  {
+    var previous_block = previous.blocks[pair.previous]
+    var mine_block = mine.blocks[pair.mine]
+    diff.fields.push(...diff_fields(previous_block, mine_block, variables))
+    diff.connections.push(...diff_connections(previous, mine, previous_block, mine_block, mine_id_of))
+    if (!deep_equal(previous_block.extraState, mine_block.extraState))
+    {
+      diff.extra_state.push({
+        id: pair.mine,
+        previous_id: pair.previous,
+        previous: previous_block.extraState,
+        mine: mine_block.extraState,
+        description: describe_extra_state(previous_block.extraState, mine_block.extraState)
+      })
+    }
+    diff.properties.push(...diff_properties(previous_block, mine_block))
+  }
+  diff.moved = diff_moves(previous, mine, pairs.filter(pair => !mine.blocks[pair.mine].shadow), mine_id_of)
+  diff.procedures = diff_procedures(previous, mine, pairs)
+  return apply_ignore_rules(diff, previous, mine, options.ignore)
+}
+
+/**
+ * Update a diff after some stacks of the flattened workspaces were
+ * serialized again (see update_flat_stacks). Only the top level stacks with
+ * those blocks, and the stacks of the blocks they were paired with, are
+ * matched and diffed again. The changes of the other blocks are kept.
+ * @param {!Object} diff Result of diff_flat for the workspaces before the
+ *     update.
+ * @param {!Object} previous Flattened previous workspace.
+ * @param {!Object} mine Flattened mine workspace.
+ * @param {!Set<string>} previous_changed Ids of the previous blocks that were
+ *     or are in the stacks serialized again.
+ * @param {!Set<string>} mine_changed The same for mine.
+ * @param {Object=} options See DEFAULT_DIFF_OPTIONS, the same as for diff.
+ * @return {!Object} The diff of the workspaces, see diff_workspaces.
+ */
+function update_diff_flat(diff, previous, mine, previous_changed, mine_changed, options)
+{
+  options = complete_diff_options(options)
+  var mine_id_of = Object.create(null)
+  var previous_id_of = Object.create(null)
+  for (const pair of diff.common.map(id => ({previous: id, mine: id})).concat(diff.matched))
+  {
+    mine_id_of[pair.previous] = pair.mine
+    previous_id_of[pair.mine] = pair.previous
+  }
+
+  // add the stacks of the blocks they were paired with, until no pair
+  // crosses the border of the part that is diffed again
+  var previous_roots = new Set()
+  var mine_roots = new Set()
+  var queue = []
+  for (const id of previous_changed)
+  {
+    queue.push([previous, id], [mine, id], [mine, mine_id_of[id]])
+  }
+  for (const id of mine_changed)
+  {
+    queue.push([mine, id], [previous, id], [previous, previous_id_of[id]])
+  }
+  while (queue.length)
+  {
+    var [flat, id] = queue.pop()
+    var record = flat.blocks[id]
+    while (record && record.parent)
+    {
+      record = flat.blocks[record.parent]
+    }
+    var roots = flat === previous ? previous_roots : mine_roots
+    if (!record || roots.has(record.id))
+    {
+      continue
+    }
+    roots.add(record.id)
+    for (const block_id of stack_block_ids(flat, record.id))
+    {
+      queue.push(flat === previous ? [mine, mine_id_of[block_id]] : [previous, previous_id_of[block_id]])
+    }
+  }
+
+  function part_of(flat, roots)
+  {
+    var part = {
+      blocks: Object.create(null),
+      top_blocks: flat.top_blocks.filter(id => roots.has(id)),
+      variables: flat.variables,
+      editor: flat.editor
+    }
+    for (const root of part.top_blocks)
+    {
+      for (const id of stack_block_ids(flat, root))
+      {
+        part.blocks[id] = flat.blocks[id]
+      }
+    }
+    return part
+  }
+  var previous_part = part_of(previous, previous_roots)
+  var mine_part = part_of(mine, mine_roots)
+  var part = diff_flat(previous_part, mine_part, options)
+
+  // the blocks diffed again and the blocks that are gone
+  var in_previous_part = id => id in previous_part.blocks || previous_changed.has(id)
+  var in_mine_part = id => id in mine_part.blocks || mine_changed.has(id)
+  var keep = change => !in_mine_part(change.id)
+  var result = {
+    added: diff.added.filter(id => !in_mine_part(id)).concat(part.added),
+    removed: diff.removed.filter(id => !in_previous_part(id)).concat(part.removed),
+    common: diff.common.filter(id => !in_mine_part(id)).concat(part.common),
+    matched: diff.matched.filter(pair => !in_mine_part(pair.mine)).concat(part.matched)
+  }
+  for (const name of ['fields', 'connections', 'extra_state', 'properties', 'shadows', 'moved'])
+  {
+    result[name] = diff[name].filter(keep).concat(part[name])
+  }
+  result.variables = part.variables
+  result.procedures = diff.procedures
+
+  // the callers can be anywhere, so the signatures are diffed over the
+  // whole workspaces when a definition or call is involved
+  var is_procedure = record => PROCEDURE_DEFINITIONS.includes(record.type) || PROCEDURE_CALLS.includes(record.type)
+  if (Object.values(previous_part.blocks).some(is_procedure) ||
+      Object.values(mine_part.blocks).some(is_procedure) ||
+      diff.procedures.some(change => in_mine_part(change.id) || change.callers.some(in_mine_part)))
+  {
+    var pairs = result.common.map(id => ({previous: id, mine: id})).concat(result.matched)
+    result.procedures = diff_procedures(previous, mine, pairs)
+  }
+  return apply_ignore_rules(result, previous, mine, options.ignore)
+}
+
+/**
+ * Drop the changes that the ignore rules of the options hide.
+ * @param {!Object} diff The full diff.
+ * @param {!Object} previous Flattened previous workspace.
+ * @param {!Object} mine Flattened mine workspace.
+ * @param {!Object} ignore The ignore rules, see DEFAULT_DIFF_OPTIONS.
+ * @return {!Object} The diff without the ignored changes.
+ */
+function apply_ignore_rules(diff, previous, mine, ignore)
+{
+  var ignored_type = (flat, id) => id != null && flat.blocks[id] != null &&
+                                   ignore.types.includes(flat.blocks[id].type)
+  var keep_block = change => !ignored_type(mine, change.id)
+
+  diff.added = diff.added.filter(id => !ignored_type(mine, id))
+  diff.removed = diff.removed.filter(id => !ignored_type(previous, id))
+  diff.fields = diff.fields.filter(change => keep_block(change) && !is_ignored_field(change, mine, ignore))
+  diff.connections = diff.connections.filter(change => keep_block(change) &&
+    !((change.previous == null || ignored_type(previous, change.previous)) &&
+      (change.mine == null || ignored_type(mine, change.mine))))
+  diff.extra_state = diff.extra_state.filter(keep_block)
+  diff.properties = diff.properties.filter(change => keep_block(change) &&
+                                                     !(ignore.comments && change.name == 'comment'))
+  diff.shadows = diff.shadows.filter(keep_block)
+  diff.moved = diff.moved.filter(keep_block)
+  diff.procedures = diff.procedures.filter(keep_block).map(change =>
+    Object.assign({}, change, {callers: change.callers.filter(id => !ignored_type(mine, id))}))
+  return diff
+}
+
+function is_ignored_field(change, mine, ignore)
+{
+  var type = mine.blocks[change.id].type
+  if (ignore.fields.includes(change.name) || ignore.fields.includes(type + '.' + change.name))
+  {
+    return true
+  }
+  if (change.kind != 'changed')
+  {
+    return false
+  }
+  if (ignore.whitespace && typeof(change.previous) == 'string' && typeof(change.mine) == 'string')
+  {
+    return change.previous.replace(/\s+/g, '') == change.mine.replace(/\s+/g, '')
+  }
+  if (typeof(change.previous) == 'number' && typeof(change.mine) == 'number')
+  {
+    return Math.abs(change.previous - change.mine) <= ignore.number_tolerance
+  }
+  return false
+}
+
+function real_block_ids(flat)
+{
+  var ids = new Set()
+  for (const id of Object.keys(flat.blocks))
+  {
+    if (!flat.blocks[id].shadow)
+    {
+      ids.add(id)
+    }
+  }
+  return ids
+}
+
+/**
+ * Pair the blocks that are only in previous with the blocks that are only
+ * in mine on their content, for ids that were regenerated by copy paste or
+ * a re-import. The children of paired blocks are paired on their place
+ * first, the rest by the best similarity, preferring blocks of which the
+ * parents are already paired.
+ * @param {!Object} previous Flattened previous workspace.
+ * @param {!Object} mine Flattened mine workspace.
+ * @param {!Set} removed Ids of the unpaired previous blocks.
+ * @param {!Set} added Ids of the unpaired mine blocks.
+ * @param {!Array} pairs Already paired blocks.
+ * @param {number} threshold Minimum similarity of a pair.
+ * @return {!Array} The new pairs.
+ */
+function match_content(previous, mine, removed, added, pairs, threshold)
+{
+  var mine_id_of = Object.create(null)
+  for (const pair of pairs)
+  {
+    mine_id_of[pair.previous] = pair.mine
+  }
+  var unpaired_previous = new Set(removed)
+  var unpaired_mine = new Set(added)
+  var matches = []
+  var cache = {previous: new Map(), mine: new Map(), previous_state: new Map(), mine_state: new Map()}
+
+  function accept(previous_id, mine_id)
+  {
+    var pair = {previous: previous_id, mine: mine_id}
+    matches.push(pair)
+    mine_id_of[previous_id] = mine_id
+    unpaired_previous.delete(previous_id)
+    unpaired_mine.delete(mine_id)
+    return pair
+  }
+
+  // pair the unpaired children in the same input of paired blocks
+  function propagate(queue)
+  {
+    while (queue.length)
+    {
+      var pair = queue.shift()
+      var previous_block = previous.blocks[pair.previous]
+      var mine_block = mine.blocks[pair.mine]
+      for (const name of Object.keys(previous_block.connections))
+      {
+        var previous_child = previous_block.connections[name]
+        var mine_child = mine_block.connections[name]
+        if (unpaired_previous.has(previous_child) && unpaired_mine.has(mine_child) &&
+            similarity(previous, mine, previous.blocks[previous_child], mine.blocks[mine_child],
+                       mine_id_of, cache) >= threshold)
+        {
+          queue.push(accept(previous_child, mine_child))
+        }
+      }
+    }
+  }
+
+  function candidate(previous_id, mine_id, list)
+  {
+    var previous_block = previous.blocks[previous_id]
+    var mine_block = mine.blocks[mine_id]
+    if (previous_block.type != mine_block.type)
+    {
+      return
+    }
+    var score = similarity(previous, mine, previous_block, mine_block, mine_id_of, cache)
+    if (score >= threshold)
+    {
+      list.push({previous: previous_id, mine: mine_id, score: score})
+    }
+  }
+
+  // blocks at the top level or with paired parents, the cheap and likely pairs
+  function placed_candidates()
+  {
+    var list = []
+    var mine_top = Array.from(unpaired_mine).filter(id => !mine.blocks[id].parent)
+    for (const previous_id of unpaired_previous)
+    {
+      var parent = previous.blocks[previous_id].parent
+      if (!parent)
+      {
+        mine_top.forEach(mine_id => candidate(previous_id, mine_id, list))
+      }
+      else if (mine_id_of[parent])
+      {
+        for (const mine_id of Object.values(mine.blocks[mine_id_of[parent]].connections))
+        {
+          if (unpaired_mine.has(mine_id))
+          {
+            candidate(previous_id, mine_id, list)
+          }
+        }
+      }
+    }
+    return list
+  }
+
+  function all_candidates()
+  {
+    var list = []
+    for (const previous_id of unpaired_previous)
+    {
+      for (const mine_id of unpaired_mine)
+      {
+        candidate(previous_id, mine_id, list)
+      }
+    }
+    return list
+  }
+
+  propagate(pairs.slice())
+  while (unpaired_previous.size && unpaired_mine.size)
+  {
+    var candidates = placed_candidates()
+    if (candidates.length == 0)
+    {
+      candidates = all_candidates()
+    }
+    if (candidates.length == 0)
+    {
+      break
+    }
+
+    // stable sort, equal blocks are paired in the order of the workspace
+    candidates.sort((a, b) => b.score - a.score)
+    var new_pairs = []
+    for (const best of candidates)
+    {
+      if (unpaired_previous.has(best.previous) && unpaired_mine.has(best.mine))
+      {
+        new_pairs.push(accept(best.previous, best.mine))
+      }
+    }
+    propagate(new_pairs)
+  }
+  return matches
+}
+
+/**
+ * Similarity of two blocks from 0 to 1, only blocks of the same type can
+ * be similar. It weighs the fields, the extraState, the blocks in its
+ * inputs and the place in the parent.
+ */
+function similarity(previous, mine, previous_block, mine_block, mine_id_of, cache)
+{
+  if (previous_block.type != mine_block.type)
+  {
+    return 0
+  }
+
+  var field_names = new Set([...Object.keys(previous_block.fields), ...Object.keys(mine_block.fields)])
+  var fields = 1
+  if (field_names.size)
+  {
+    var equal = 0
+    for (const name of field_names)
+    {
+      if (deep_equal(previous_block.fields[name], mine_block.fields[name]))
+      {
+        equal++
+      }
+    }
+    fields = equal / field_names.size
+  }
+
+  var extra_state = state_text(previous_block, cache.previous_state) ==
+                    state_text(mine_block, cache.mine_state) ? 1 : 0
+
+  var content = bag_similarity(nested_content(previous, previous_block.id, cache.previous),
+                               nested_content(mine, mine_block.id, cache.mine))
+
+  var parent = 0
+  if (!previous_block.parent && !mine_block.parent)
+  {
+    parent = 1
+  }
+  else if (previous_block.parent && mine_block.parent && previous_block.input == mine_block.input)
+  {
+    if (mine_id_of[previous_block.parent] == mine_block.parent)
+    {
+      parent = 1
+    }
+    else if (previous.blocks[previous_block.parent].type == mine.blocks[mine_block.parent].type)
+    {
+      parent = 0.5
+    }
+  }
+
+  return 0.3 * fields + 0.1 * extra_state + 0.35 * content + 0.25 * parent
+}
+
+/**
+ * Type and fields of all blocks in the inputs of a block, counted by
+ * their json. The next blocks of the block itself are not included.
+ * @return {!Map<string, number>} Count of each block content.
+ */
+function nested_content(flat, id, cache)
+{
+  if (cache.has(id))
+  {
+    return cache.get(id)
+  }
+  var bag = new Map()
+  var record = flat.blocks[id]
+  for (const name of Object.keys(record.connections))
+  {
+    if (name == 'next')
+    {
+      continue
+    }
+    for (var child = flat.blocks[record.connections[name]]; child; child = flat.blocks[child.connections['next']])
+    {
+      add_to_bag(bag, JSON.stringify([child.type, child.fields]), 1)
+      for (const [key, count] of nested_content(flat, child.id, cache))
+      {
+        add_to_bag(bag, key, count)
+      }
+    }
+  }
+  cache.set(id, bag)
+  return bag
+}
+
+// the extraState as text, as the dropdown caches are too big to compare every time
+function state_text(record, cache)
+{
+  if (!cache.has(record.id))
+  {
+    cache.set(record.id, JSON.stringify(record.extraState))
+  }
+  return cache.get(record.id)
+}
+
+function add_to_bag(bag, key, count)
+{
+  bag.set(key, (bag.get(key) || 0) + count)
+}
+
+function bag_similarity(a, b)
+{
+  if (a.size == 0 && b.size == 0)
+  {
+    return 1
+  }
+  var common = 0
+  var total = 0
+  for (const [key, count] of a)
+  {
+    common += Math.min(count, b.get(key) || 0)
+    total += count
+  }
+  for (const count of b.values())
+  {
+    total += count
+  }
+  return common / (total - common)
+}
+
+/**
+ * Shadows get new ids easily, so they are matched by the input they are
+ * in instead of by id. A shadow that took the place of a block, or the
+ * reverse, is reported as a replacement.
+ * @param {!Object} previous Flattened previous workspace.
+ * @param {!Object} mine Flattened mine workspace.
+ * @param {!Array} pairs Matched real blocks.
+ * @return {!Object} Shadow pairs, added and removed shadows and the
+ *     replacements.
+ */
+function match_shadows(previous, mine, pairs)
+{
+  var result = {pairs: [], added: [], removed: [], replaced: []}
+  var matched_previous = new Set()
+  var matched_mine = new Set()
+
+  // shadows can have shadows, so the new pairs are processed too
+  var queue = pairs.slice()
+  while (queue.length)
+  {
+    var pair = queue.shift()
+    var previous_block = previous.blocks[pair.previous]
+    var mine_block = mine.blocks[pair.mine]
+    var names = new Set([...Object.keys(previous_block.connections),
+                         ...Object.keys(mine_block.connections)])
+    for (const name of names)
+    {
+      var previous_target = previous.blocks[previous_block.connections[name]]
+      var mine_target = mine.blocks[mine_block.connections[name]]
+      if (!previous_target || !mine_target)
+      {
+        continue
+      }
+      if (previous_target.shadow && mine_target.shadow)
+      {
+        var shadow_pair = {previous: previous_target.id, mine: mine_target.id}
+        result.pairs.push(shadow_pair)
+        queue.push(shadow_pair)
+        matched_previous.add(previous_target.id)
+        matched_mine.add(mine_target.id)
+      }
+      else if (previous_target.shadow != mine_target.shadow)
+      {
+        // the replacement describes the shadow, it is not added or removed
+        if (previous_target.shadow)
+        {
+          matched_previous.add(previous_target.id)
+        }
+        else
+        {
+          matched_mine.add(mine_target.id)
+        }
+        result.replaced.push({
+          id: pair.mine,
+          previous_id: pair.previous,
+          input: name,
+          kind: previous_target.shadow ? 'replaced_by_block' : 'replaced_by_shadow',
+          previous: previous_target.id,
+          mine: mine_target.id,
+          description: 'input ' + name + ': ' +
+                       (previous_target.shadow ? 'shadow ' : 'block ') + previous_target.type +
+                       ' replaced by ' +
+                       (mine_target.shadow ? 'shadow ' : 'block ') + mine_target.type
+        })
+      }
+    }
+  }
+
+  for (const id of Object.keys(mine.blocks))
+  {
+    if (mine.blocks[id].shadow && !matched_mine.has(id))
+    {
+      result.added.push(id)
+    }
+  }
+  for (const id of Object.keys(previous.blocks))
+  {
+    if (previous.blocks[id].shadow && !matched_previous.has(id))
+    {
+      result.removed.push(id)
+    }
+  }
+  return result
+}
+
+/**
+ * A block moved when it is in another stack (the chain of next blocks in
+ * an input or at the top level), or when its order in the stack changed.
+ * Blocks inserted or removed around it do not count as a move.
+ * @param {!Object} previous Flattened previous workspace.
+ * @param {!Object} mine Flattened mine workspace.
+ * @param {!Array} pairs Matched real blocks.
+ * @param {!Object} mine_id_of Previous id to mine id of the pairs.
+ * @return {!Array} The moves, with the previous and mine position.
+ */
+function diff_moves(previous, mine, pairs, mine_id_of)
+{
+  var mine_stacks = get_stacks(mine, id => id, true)
+  var previous_stacks = get_stacks(previous, id => mine_id_of[id] || id, false)
+
+  // a top level stack has no owner, it is the mine stack that starts with
+  // the same block, else the one with most blocks in common
+  var mine_keys = new Set(mine_stacks.map(stack => stack.key))
+  for (const stack of previous_stacks)
+  {
+    if (stack.key)
+    {
+      continue
+    }
+    if (mine_keys.has('top ' + stack.ids[0]))
+    {
+      stack.key = 'top ' + stack.ids[0]
+      continue
+    }
+    var best = 0
+    for (const mine_stack of mine_stacks)
+    {
+      var overlap = mine_stack.key.startsWith('top ') ?
+        stack.ids.filter(id => mine_stack.ids.includes(id)).length : 0
+      if (overlap > best)
+      {
+        best = overlap
+        stack.key = mine_stack.key
+      }
+    }
+    stack.key = stack.key || 'top removed ' + stack.ids[0]
+  }
+
+  var mine_position = stack_positions(mine_stacks)
+  var previous_position = stack_positions(previous_stacks)
+
+  // blocks that stayed in the same stack keep their place unless the order changed
+  var in_order = new Set()
+  for (const stack of mine_stacks)
+  {
+    // of the top level stacks joined together the one that starts the same
+    var previous_stack = previous_stacks.find(other => other.key == stack.key && other.ids[0] == stack.ids[0]) ||
+                         previous_stacks.find(other => other.key == stack.key)
+    if (previous_stack)
+    {
+      for (const id of longest_common_subsequence(previous_stack.ids, stack.ids))
+      {
+        in_order.add(id)
+      }
+    }
+  }
+
+  var moves = []
+  for (const pair of pairs)
+  {
+    if (previous_position[pair.mine] == mine_position[pair.mine] && in_order.has(pair.mine))
+    {
+      continue
+    }
+    var previous_block = previous.blocks[pair.previous]
+    var mine_block = mine.blocks[pair.mine]
+    // it went along with the block it is connected to
+    if (previous_block.parent && (mine_id_of[previous_block.parent] || previous_block.parent) == mine_block.parent &&
+        previous_block.input == mine_block.input)
+    {
+      continue
+    }
+    var from = describe_position(previous, previous_block)
+    var to = describe_position(mine, mine_block)
+    moves.push({
+      id: pair.mine,
+      previous_id: pair.previous,
+      previous: {parent: previous_block.parent, input: previous_block.input},
+      mine: {parent: mine_block.parent, input: mine_block.input},
+      description: 'moved from ' + from + ' to ' + to
+    })
+  }
+  return moves
+}
+
+/**
+ * Split the blocks in stacks. The key of a stack is the owner block (as a
+ * mine id) and input name, or 'top' and the first block for a top level
+ * stack of mine. Top level stacks of previous get their key later.
+ */
+function get_stacks(flat, as_mine_id, is_mine)
+{
+  var stacks = []
+  for (const id of Object.keys(flat.blocks))
+  {
+    var record = flat.blocks[id]
+    if (record.shadow || record.input == 'next')
+    {
+      continue
+    }
+    var stack = {key: null, ids: []}
+    if (record.parent)
+    {
+      stack.key = as_mine_id(record.parent) + ' ' + record.input
+    }
+    else if (is_mine)
+    {
+      stack.key = 'top ' + id
+    }
+    for (var block = record; block; block = flat.blocks[block.connections['next']])
+    {
+      stack.ids.push(as_mine_id(block.id))
+    }
+    stacks.push(stack)
+  }
+  return stacks
+}
+
+function stack_positions(stacks)
+{
+  var positions = Object.create(null)
+  for (const stack of stacks)
+  {
+    for (const id of stack.ids)
+    {
+      positions[id] = stack.key
+    }
+  }
+  return positions
+}
+
+function longest_common_subsequence(a, b)
+{
+  var lengths = Array.from({length: a.length + 1}, () => new Array(b.length + 1).fill(0))
+  for (var i = a.length - 1; i >= 0; i--)
+  {
+    for (var j = b.length - 1; j >= 0; j--)
+    {
+      lengths[i][j] = a[i] == b[j] ? lengths[i + 1][j + 1] + 1 :
+                      Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+  var common = []
+  for (var i = 0, j = 0; i < a.length && j < b.length;)
+  {
+    if (a[i] == b[j])
+    {
+      common.push(a[i])
+      i++
+      j++
+    }
+    else if (lengths[i + 1][j] >= lengths[i][j + 1])
+    {
+      i++
+    }
+    else
+    {
+      j++
+    }
+  }
+  return common
+}
+
+function block_label(flat, id)
+{
+  return id ? flat.blocks[id].type : 'nothing'
+}
+
+function describe_position(flat, record)
+{
+  if (!record.parent)
+  {
+    return 'top level'
+  }
+  return flat.blocks[record.parent].type + '.' + record.input
+}
+
+/**
+ * Compare the field states over the fields of both blocks. A field that
+ * is only on one side (e.g. after a mutation) is 'added' or 'removed'.
+ * Variable fields are compared on the paired variables and described by
+ * the variable names.
+ */
+function diff_fields(previous_block, mine_block, variables)
+{
+  var changes = []
+  var names = new Set([...Object.keys(previous_block.fields),
+                       ...Object.keys(mine_block.fields)])
+  for (const name of names)
+  {
+    var in_previous = Object.prototype.hasOwnProperty.call(previous_block.fields, name)
+    var in_mine = Object.prototype.hasOwnProperty.call(mine_block.fields, name)
+    var previous_value = previous_block.fields[name]
+    var mine_value = mine_block.fields[name]
+    var kind
+    var description
+    if (!in_previous)
+    {
+      kind = 'added'
+      description = 'field ' + name + ' added: ' + field_text(mine_value, variables.mine_names)
+    }
+    else if (!in_mine)
+    {
+      kind = 'removed'
+      description = 'field ' + name + ' removed, was ' + field_text(previous_value, variables.previous_names)
+    }
+    else if (!deep_equal(as_mine_variable(previous_value, variables.mine_id_of), mine_value))
+    {
+      kind = 'changed'
+      description = name + ' changed from ' + field_text(previous_value, variables.previous_names) +
+                    ' to ' + field_text(mine_value, variables.mine_names)
+    }
+    else
+    {
+      continue
+    }
+    changes.push({
+      id: mine_block.id,
+      previous_id: previous_block.id,
+      name: name,
+      kind: kind,
+      previous: previous_value,
+      mine: mine_value,
+      description: description
+    })
+  }
+  return changes
+}
+
+function is_variable_reference(value)
+{
+  return is_plain_object(value) && typeof(value.id) == 'string'
+}
+
+function as_mine_variable(value, mine_id_of)
+{
+  if (is_variable_reference(value) && mine_id_of[value.id])
+  {
+    return Object.assign({}, value, {id: mine_id_of[value.id]})
+  }
+  return value
+}
+
+function field_text(value, variable_names)
+{
+  if (is_variable_reference(value) && value.id in variable_names)
+  {
+    return variable_names[value.id]
+  }
+  return JSON.stringify(value)
+}
+
+const PROCEDURE_DEFINITIONS = ['procedures_defnoreturn', 'procedures_defreturn']
+const PROCEDURE_CALLS = ['procedures_callnoreturn', 'procedures_callreturn']
+
+function procedure_signature(record)
+{
+  var params = (record.extraState && record.extraState.params) || []
+  return {
+    name: record.fields.NAME,
+    params: params.map(param => typeof(param) == 'string' ? param : param.name),
+    returns: record.type == 'procedures_defreturn'
+  }
+}
+
+/**
+ * Diff the signatures of the procedure definitions: name, parameters and
+ * return. Definitions are paired like the other blocks, or else on name as
+ * changing the return type changes the block type. The mine call blocks of
+ * a changed procedure are listed as callers.
+ * @param {!Object} previous Flattened previous workspace.
+ * @param {!Object} mine Flattened mine workspace.
+ * @param {!Array} pairs Paired blocks.
+ * @return {!Array} The signature changes.
+ */
+function diff_procedures(previous, mine, pairs)
+{
+  var is_definition = record => PROCEDURE_DEFINITIONS.includes(record.type)
+  var definitions = pairs.filter(pair => is_definition(mine.blocks[pair.mine]))
+  var paired_previous = new Set(definitions.map(pair => pair.previous))
+  var paired_mine = new Set(definitions.map(pair => pair.mine))
+  var unpaired_mine = Object.values(mine.blocks).filter(record => is_definition(record) && !paired_mine.has(record.id))
+  for (const record of Object.values(previous.blocks))
+  {
+    if (!is_definition(record) || paired_previous.has(record.id))
+    {
+      continue
+    }
+    var mine_record = unpaired_mine.find(other => other.fields.NAME == record.fields.NAME)
+    if (mine_record)
+    {
+      unpaired_mine = unpaired_mine.filter(other => other !== mine_record)
+      definitions.push({previous: record.id, mine: mine_record.id})
+    }
+  }
+
+  var changes = []
+  for (const pair of definitions)
+  {
+    var previous_signature = procedure_signature(previous.blocks[pair.previous])
+    var mine_signature = procedure_signature(mine.blocks[pair.mine])
+    var lines = describe_signature(previous_signature, mine_signature)
+    if (lines.length == 0)
+    {
+      continue
+    }
+    var names = [previous_signature.name, mine_signature.name]
+    changes.push({
+      id: pair.mine,
+      previous_id: pair.previous,
+      previous: previous_signature,
+      mine: mine_signature,
+      description: lines,
+      callers: Object.values(mine.blocks)
+        .filter(record => PROCEDURE_CALLS.includes(record.type) &&
+                          record.extraState && names.includes(record.extraState.name))
+        .map(record => record.id)
+    })
+  }
+  return changes
+}
+
+function describe_signature(previous, mine)
+{
+  var lines = []
+  if (previous.name != mine.name)
+  {
+    lines.push('procedure ' + previous.name + ' renamed to ' + mine.name)
+  }
+  var added = mine.params.filter(param => !previous.params.includes(param))
+  var removed = previous.params.filter(param => !mine.params.includes(param))
+  added.forEach(param => lines.push('parameter ' + param + ' added'))
+  removed.forEach(param => lines.push('parameter ' + param + ' removed'))
+  var kept_previous = previous.params.filter(param => mine.params.includes(param))
+  var kept_mine = mine.params.filter(param => previous.params.includes(param))
+  if (!deep_equal(kept_previous, kept_mine))
+  {
+    lines.push('parameters reordered from (' + kept_previous.join(', ') + ') to (' + kept_mine.join(', ') + ')')
+  }
+  if (previous.returns != mine.returns)
+  {
+    lines.push(mine.returns ? 'now returns a value' : 'no longer returns a value')
+  }
+  return lines
+}
+
+/**
+ * Diff the workspace variables. They are paired on id, or else on name and
+ * type for variables that got a new id.
+ * @param {!Array} previous_variables Variables of the previous workspace.
+ * @param {!Array} mine_variables Variables of the mine workspace.
+ * @return {!Object} The changes (added, removed, renamed, type_changed),
+ *     previous to mine id of the pairs and the names by id of each side.
+ */
+function diff_variables(previous_variables, mine_variables)
+{
+  var result = {
+    changes: [],
+    mine_id_of: Object.create(null),
+    previous_names: Object.create(null),
+    mine_names: Object.create(null)
+  }
+  previous_variables.forEach(variable => result.previous_names[variable.id] = variable.name)
+  mine_variables.forEach(variable => result.mine_names[variable.id] = variable.name)
+
+  var unpaired_mine = mine_variables.filter(variable => !(variable.id in result.previous_names))
+  var unpaired_previous = []
+  for (const variable of previous_variables)
+  {
+    var mine_variable = mine_variables.find(other => other.id == variable.id) ||
+      unpaired_mine.find(other => other.name == variable.name && (other.type || '') == (variable.type || ''))
+    if (!mine_variable)
+    {
+      unpaired_previous.push(variable)
+      continue
+    }
+    unpaired_mine = unpaired_mine.filter(other => other !== mine_variable)
+    result.mine_id_of[variable.id] = mine_variable.id
+    if (variable.name != mine_variable.name)
+    {
+      result.changes.push({
+        id: mine_variable.id,
+        previous_id: variable.id,
+        kind: 'renamed',
+        previous: variable,
+        mine: mine_variable,
+        description: 'variable ' + variable.name + ' renamed to ' + mine_variable.name
+      })
+    }
+    if ((variable.type || '') != (mine_variable.type || ''))
+    {
+      result.changes.push({
+        id: mine_variable.id,
+        previous_id: variable.id,
+        kind: 'type_changed',
+        previous: variable,
+        mine: mine_variable,
+        description: 'variable ' + mine_variable.name + ' type changed from ' +
+                     JSON.stringify(variable.type || '') + ' to ' + JSON.stringify(mine_variable.type || '')
+      })
+    }
+  }
+  for (const variable of unpaired_mine)
+  {
+    result.changes.push({
+      id: variable.id,
+      previous_id: null,
+      kind: 'added',
+      previous: null,
+      mine: variable,
+      description: 'variable ' + variable.name + ' added'
+    })
+  }
+  for (const variable of unpaired_previous)
+  {
+    result.changes.push({
+      id: null,
+      previous_id: variable.id,
+      kind: 'removed',
+      previous: variable,
+      mine: null,
+      description: 'variable ' + variable.name + ' removed'
+    })
+  }
+  return result
+}
+
+/**
+ * Readable breakdown of an extraState change, one line per change, e.g.
+ * "dropdown TYPE gained option basic_list_value". Handles the dropdown
+ * option caches of the editors, xml mutations (blocks that only have
+ * mutationToDom) and any other json state.
+ * @param {*} previous extraState of the previous block.
+ * @param {*} mine extraState of the mine block.
+ * @return {!Array<string>} Lines describing the change.
+ */
+function describe_extra_state(previous, mine)
+{
+  if (typeof(previous) == 'string' || typeof(mine) == 'string')
+  {
+    return describe_mutation(previous || '', mine || '')
+  }
+  previous = previous || {}
+  mine = mine || {}
+  var lines = []
+  if (Array.isArray(previous.dropdowns) || Array.isArray(mine.dropdowns))
+  {
+    lines.push(...describe_dropdowns(previous.dropdowns || [], mine.dropdowns || []))
+    previous = Object.assign({}, previous)
+    mine = Object.assign({}, mine)
+    delete previous.dropdowns
+    delete mine.dropdowns
+  }
+  lines.push(...describe_state(previous, mine, ''))
+  return lines
+}
+
+function describe_dropdowns(previous_dropdowns, mine_dropdowns)
+{
+  var lines = []
+  var previous_fields = Object.fromEntries(previous_dropdowns.map(dropdown => [dropdown.field, dropdown.options]))
+  var mine_fields = Object.fromEntries(mine_dropdowns.map(dropdown => [dropdown.field, dropdown.options]))
+  var names = new Set([...Object.keys(previous_fields), ...Object.keys(mine_fields)])
+  for (const name of names)
+  {
+    var previous_options = Object.fromEntries((previous_fields[name] || []).map(option => [option.id, option.text]))
+    var mine_options = Object.fromEntries((mine_fields[name] || []).map(option => [option.id, option.text]))
+    for (const id of Object.keys(mine_options))
+    {
+      if (!(id in previous_options))
+      {
+        lines.push('dropdown ' + name + ' gained option ' + mine_options[id])
+      }
+      else if (previous_options[id] != mine_options[id])
+      {
+        lines.push('dropdown ' + name + ' option ' + previous_options[id] + ' renamed to ' + mine_options[id])
+      }
+    }
+    for (const id of Object.keys(previous_options))
+    {
+      if (!(id in mine_options))
+      {
+        lines.push('dropdown ' + name + ' lost option ' + previous_options[id])
+      }
+    }
+  }
+  return lines
+}
+
+function describe_state(previous, mine, path)
+{
+  var lines = []
+  var keys = new Set([...Object.keys(previous), ...Object.keys(mine)])
+  for (const key of keys)
+  {
+    var name = path + key
+    if (!(key in mine))
+    {
+      lines.push(name + ' removed, was ' + JSON.stringify(previous[key]))
+    }
+    else if (!(key in previous))
+    {
+      lines.push(name + ' added: ' + JSON.stringify(mine[key]))
+    }
+    else if (deep_equal(previous[key], mine[key]))
+    {
+      continue
+    }
+    else if (is_plain_object(previous[key]) && is_plain_object(mine[key]))
+    {
+      lines.push(...describe_state(previous[key], mine[key], name + '.'))
+    }
+    else
+    {
+      lines.push(name + ' changed from ' + JSON.stringify(previous[key]) +
+                 ' to ' + JSON.stringify(mine[key]))
+    }
+  }
+  return lines
+}
+
+function is_plain_object(value)
+{
+  return typeof(value) == 'object' && value != null && !Array.isArray(value)
+}
+
+/**
+ * Compare the attributes of two xml mutations, done on the text so it
+ * also works without a DOM.
+ */
+function describe_mutation(previous, mine)
+{
+  var lines = describe_state(mutation_attributes(previous), mutation_attributes(mine), 'mutation ')
+  if (lines.length == 0)
+  {
+    lines.push('mutation content changed')
+  }
+  return lines
+}
+
+function mutation_attributes(xml)
+{
+  var attributes = {}
+  var tag = xml.match(/<mutation\b([^>]*)>/)
+  if (tag)
+  {
+    for (const match of tag[1].matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g))
+    {
+      attributes[match[1]] = match[2]
+    }
+  }
+  return attributes
+}
+
+const BLOCK_PROPERTIES = ['comment', 'collapsed', 'enabled', 'inline']
+
+function diff_properties(previous_block, mine_block)
+{
+  var changes = []
+  for (const name of BLOCK_PROPERTIES)
+  {
+    if (previous_block[name] !== mine_block[name])
+    {
+      var change = {
+        id: mine_block.id,
+        previous_id: previous_block.id,
+        name: name,
+        previous: previous_block[name],
+        mine: mine_block[name]
+      }
+      change.description = describe_property(change)
+      changes.push(change)
+    }
+  }
+  return changes
+}
+
+function describe_property(change)
+{
+  switch (change.name)
+  {
+    case 'comment':
+      if (change.previous == null)
+      {
+        return 'comment added: ' + change.mine
+      }
+      if (change.mine == null)
+      {
+        return 'comment removed, was: ' + change.previous
+      }
+      return 'comment changed from ' + JSON.stringify(change.previous) +
+             ' to ' + JSON.stringify(change.mine)
+    case 'collapsed':
+      return change.mine ? 'collapsed' : 'expanded'
+    case 'enabled':
+      return change.mine ? 'enabled' : 'disabled'
+    case 'inline':
+      if (change.mine == null)
+      {
+        return 'inputs back to the default of the block'
+      }
+      return change.mine ? 'inputs inline' : 'inputs external'
+  }
+}
+
+function diff_connections(previous, mine, previous_block, mine_block, mine_id_of)
+{
+  var changes = []
+  var names = new Set([...Object.keys(previous_block.connections),
+                       ...Object.keys(mine_block.connections)])
+  for (const name of names)
+  {
+    var previous_target = previous_block.connections[name] || null
+    var mine_target = mine_block.connections[name] || null
+    var previous_as_mine = previous_target && (mine_id_of[previous_target] || previous_target)
+    if (previous_as_mine != mine_target)
+    {
+      changes.push({
+        id: mine_block.id,
+        previous_id: previous_block.id,
+        input: name,
+        previous: previous_target,
+        mine: mine_target,
+        description: 'input ' + name + ' changed from ' + block_label(previous, previous_target) +
+                     ' to ' + block_label(mine, mine_target)
+      })
+    }
+  }
+  return changes
+}
+
+if (typeof module !== 'undefined' && module.exports)
+{
+  module.exports = {
+    deep_equal,
+    describe_extra_state,
+    expand_mergeable,
+    flatten_workspace,
+    update_flat_stacks,
+    index_states,
+    index_block_states,
+    diff_workspaces,
+    diff_flat,
+    update_diff_flat
+  }
+}
@@ -313,19 +313,38 @@ function highLight(event)
   }
 }
 
+// id of the warning icon text that describes the change of a block
+const DIFF_WARNING_ID = 'blockly-diff';
+
 function unhighlightCommon(currentBlock)
 {
   const path = currentBlock.pathObject.svgPath;
   Blockly.utils.dom.removeClass(path, 'blockly-ws-merge-highlight-mine-added');
   Blockly.utils.dom.removeClass(path, 'blockly-ws-merge-highlight-mine-removed');
+  Blockly.utils.dom.removeClass(path, 'blockly-ws-merge-highlight-value-changed');
+  Blockly.utils.dom.removeClass(path, 'blockly-ws-merge-highlight-moved');
+  Blockly.utils.dom.removeClass(path, 'blockly-ws-merge-highlight-caller');
+  Blockly.utils.dom.removeClass(path, 'blockly-ws-merge-highlight-conflict');
+  for (const name of BLOCK_PROPERTIES) {
+    Blockly.utils.dom.removeClass(currentBlock.getSvgRoot(), 'blockly-ws-merge-' + name + '-changed');
+  }
+  currentBlock.setWarningText(null, DIFF_WARNING_ID);
 
 }
 function highlightMineAdded(currentBlock) {
+  // the diff can be of a moment the block still existed
+  if (!currentBlock) {
+    return
+  }
   const path = currentBlock.pathObject.svgPath;
   Blockly.utils.dom.addClass(path, 'blockly-ws-merge-highlight-mine-added');
 }
 
 function highlightMineRemoved(currentBlock) {
+  // the diff can be of a moment the block still existed
+  if (!currentBlock) {
+    return
+  }
   const path = currentBlock.pathObject.svgPath;
   Blockly.utils.dom.addClass(path, 'blockly-ws-merge-highlight-mine-removed');
 }
@@ -335,6 +354,28 @@ function highlightValueChanged(currentBlock) {
   Blockly.utils.dom.addClass(path, 'blockly-ws-merge-highlight-value-changed');
 }
 
+function highlightMoved(currentBlock) {
+  const path = currentBlock.pathObject.svgPath;
+  Blockly.utils.dom.addClass(path, 'blockly-ws-merge-highlight-moved');
+}
+
+function highlightCaller(currentBlock) {
+  // the diff can be of a moment the block still existed
+  if (!currentBlock) {
+    return
+  }
+  const path = currentBlock.pathObject.svgPath;
+  Blockly.utils.dom.addClass(path, 'blockly-ws-merge-highlight-caller');
+}
+
+function highlightPropertyChanged(currentBlock, name) {
+  Blockly.utils.dom.addClass(currentBlock.getSvgRoot(), 'blockly-ws-merge-' + name + '-changed');
+}
+
+function describeChanges(currentBlock, lines) {
+  currentBlock.setWarningText(lines.join('\n'), DIFF_WARNING_ID);
+}
+
 function codeGeneration(event) {
   if (Blockly.Code)
   {  
@@ -377,6 +418,12 @@ function updateDropdownRename(event)
 
 var mine_workspace;
 var previous_workspace;
+// only in the three-way mode, the previous workspace is the base then
+var theirs_workspace = null;
+// the merge result pane, see start_merge
+var result_workspace = null;
+// the panes merged into the result pane and the conflicts still open
+var current_merge = null;
 
 function vscode_start()
 {
@@ -411,8 +458,125 @@ function inject()
   
 }
 
-function start()
+/**
+ * Switch to the three-way mode: show the theirs pane next to mine, the
+ * previous pane is the common ancestor (base) of mine and theirs.
+ */
+function start_three_way()
+{
+  if (theirs_workspace)
+  {
+    return
+  }
+  document.getElementById('theirs_column').style.display = '';
+  theirs_workspace = Blockly.inject("blocklyTheirsDiv", options);
+  theirs_workspace.name="Theirs"
+  theirs_workspace.workspaceSearch = new WorkspaceSearch(theirs_workspace);
+  theirs_workspace.workspaceSearch.init();
+  theirs_workspace.addChangeListener(show_diffs);
+  theirs_workspace.addChangeListener(myTheirsSelection);
+  theirs_workspace.addChangeListener(scroll);
+  Blockly.svgResize(mine_workspace);
+  Blockly.svgResize(previous_workspace);
+}
+
+/**
+ * Merge the panes into the result pane. In the three-way mode mine (left)
+ * and theirs (right) are merged with previous as base. Else previous (left)
+ * and mine (right) are merged without a base: blocks of one side are kept
+ * and every other difference is a conflict.
+ */
+function start_merge()
+{
+  if (!result_workspace)
+  {
+    document.getElementById('result_column').style.display = '';
+    result_workspace = Blockly.inject("blocklyResultDiv", options);
+    result_workspace.name="Result"
+    result_workspace.workspaceSearch = new WorkspaceSearch(result_workspace);
+    result_workspace.workspaceSearch.init();
+    result_workspace.addChangeListener(myResultSelection);
+    result_workspace.addChangeListener(scroll);
+    for (const workspace of [previous_workspace, mine_workspace, theirs_workspace]) {
+      if (workspace)
+      {
+        Blockly.svgResize(workspace);
+      }
+    }
+  }
+  var left = theirs_workspace ? mine_workspace : previous_workspace
+  var right = theirs_workspace ? theirs_workspace : mine_workspace
+  var base = theirs_workspace ? save_mergeable(previous_workspace) : {top_blocks: [], mergeable: true}
+  var merge = merge_mergeable(base, save_mergeable(left), save_mergeable(right))
+  current_merge = {left: left, right: right, conflicts: merge.conflicts}
+  load_result(merge.merged)
+}
+
+function load_result(merged)
 {
+  workspace_file_names.set(result_workspace.id, 'merged.json')
+  load_checked(expand_mergeable(merged), result_workspace)
+  render_result_conflicts()
+}
+
+/**
+ * Mark the open conflicts in the result pane and list them, each with the
+ * buttons to take the left or the right side or to keep the result as
+ * edited by hand.
+ */
+function render_result_conflicts()
+{
+  var list = document.getElementById('result_conflicts')
+  list.innerHTML = ''
+  for (const block of result_workspace.getAllBlocks()) {
+    unhighlightCommon(block)
+  }
+  current_merge.conflicts.forEach((conflict, index) => {
+    var block = result_workspace.getBlockById(conflict.id)
+    highlight_conflict(block)
+    var item = document.createElement('li')
+    item.className = 'blockly-ws-merge-conflict'
+    var text = document.createElement('span')
+    text.textContent = describe_merge_conflict(conflict, block, {mine: 'left', theirs: 'right'})
+    text.onclick = () => block && result_workspace.centerOnBlock(block.id)
+    item.appendChild(text)
+    for (const [label, side] of [['take left', 'mine'], ['take right', 'theirs'], ['edited', null]]) {
+      var button = document.createElement('input')
+      button.type = 'button'
+      button.value = label
+      button.onclick = () => resolve_result_conflict(index, side)
+      item.appendChild(button)
+    }
+    list.appendChild(item)
+  })
+}
+
+/**
+ * Resolve a conflict of the result pane, the result keeps the changes that
+ * were made by hand.
+ * @param {number} index Index of the conflict.
+ * @param {?string} side 'mine' (left) or 'theirs' (right), null when it was
+ *     resolved by editing the result.
+ */
+function resolve_result_conflict(index, side)
+{
+  var conflict = current_merge.conflicts.splice(index, 1)[0]
+  if (!side)
+  {
+    render_result_conflicts()
+    return
+  }
+  var merged = save_mergeable(result_workspace)
+  resolve_conflict(merged, conflict, side)
+  load_result(merged)
+}
+
+function start(opt_diff_options)
+{
+  if (opt_diff_options)
+  {
+    diff_options = opt_diff_options
+  }
   inject();
 
 //  BlocklyStorage.restoreBlocks(workspace, 'concrete');
@@ -437,111 +601,142 @@ function start()
   search();
   add_load_previous();
   add_load_mine();
+  add_load_theirs();
+  add_apply_patch();
+  add_drop_files();
+  register_diff_actions();
   injectMergeCss();
-  load_previous_from_website()
-  load_mine_from_website()
+  // the files can be given on the url, see load_from_params
+  load_from_params(new URLSearchParams(window.location.search))
 }
 
-function intersection(setA, setB) {
-  const _intersection = new Set();
-  for (const elem of setB) {
-    if (setA.has(elem)) {
-      _intersection.add(elem);
-    }
+/**
+ * Load the files and options given on the url of the editor:
+ *   previous, mine, theirs: the files of the panes, relative to the server
+ *       root. Theirs turns the three-way mode on, previous is then the
+ *       common ancestor.
+ *   base: the same as previous, the name for the three-way mode.
+ *   editor: the editor of files that do not name their editor.
+ *   options: a json file with the diff options, see load_diff_options.
+ *   similarity, ignore_fields, ignore_types (comma separated),
+ *       ignore_comments, ignore_whitespace, number_tolerance: the diff
+ *       options, see DEFAULT_DIFF_OPTIONS.
+ * Without files the example files are loaded.
+ * @param {!URLSearchParams} params The parameters of the url.
+ */
+function load_from_params(params)
+{
+  if (params.get('editor'))
+  {
+    default_editor = {name: params.get('editor')}
   }
-  return _intersection;
-}
-
-function difference(setA, setB) {
-  const _difference = new Set(setA);
-  for (const elem of setB) {
-    _difference.delete(elem);
+  var url_options = params_diff_options(params)
+  diff_options = merge_diff_options(diff_options, url_options)
+  if (params.get('options'))
+  {
+    load_diff_options(new URL(params.get('options'), location.origin + '/').href, url_options)
   }
-  return _difference;
-}
-
-function get_ids(blocks)
-{
-	var ids = new Set();
-  for(var i=0; i<blocks.length;i++)
+  if (params.get('base') && params.get('previous'))
   {
-    var block=blocks[i];
-    ids.add(block.id);
+    report_url_error('base and previous are both the left pane, base is loaded')
+  }
+  var files = {previous: params.get('base') || params.get('previous'), mine: params.get('mine'),
+               theirs: params.get('theirs')}
+  if (!files.previous && !files.mine && !files.theirs)
+  {
+    load_previous_from_website()
+    load_mine_from_website()
+    return
+  }
+  if (files.theirs)
+  {
+    start_three_way()
+  }
+  var workspaces = {previous: previous_workspace, mine: mine_workspace, theirs: theirs_workspace}
+  for (const side of Object.keys(files))
+  {
+    if (files[side])
+    {
+      load_from_website(workspaces[side], new URL(files[side], location.origin + '/').href)
+    }
   }
-	
-  return ids
-
 }
 
-function get_connections(blocks)
+/**
+ * The diff options given on the url, an invalid value is reported and left
+ * out.
+ */
+function params_diff_options(params)
 {
-  var connections_set = new Set();
-
-  for (var i=0; i<blocks.length; i++)
-  {
-	  var block = blocks[i];
-    var connections = block.getConnections_();
-
-    for (var j=0;j<connections.length;j++)
+  var options = {ignore: {}}
+  var set = (object, key, value) => {
+    if (value !== undefined)
     {
-      var connection = connections[j]
-      if (connection.type == Blockly.connectionTypes.NEXT_STATEMENT)
-      {
-		    var input = connection.getParentInput()
-		    var name
-		    if (input)
-		    {
-			    name = input.name  
-		    }
-		    else
-        { 
-          name = 'next'
-        }
-		    var target_id
-		    var target = connection.targetBlock()
-		    if (target)
-		    {
-			    target_id = target.id
-		    }
-		    else
-        { 
-          target_id = 'none'
-        }
-			  connections_set.add(block.id+' '+name+' '+target_id)
-      }
+      object[key] = value
+    }
+  }
+  var list = name => params.get(name).split(',').map(item => item.trim()).filter(item => item)
+  var invalid = (name, expected) => {
+    report_url_error(name + '=' + params.get(name) + ' is not ' + expected + ', it is ignored')
+    return undefined
+  }
+  var flag = (name) => {
+    var value = params.get(name).toLowerCase()
+    if (['', '1', 'true', 'yes'].includes(value))
+    {
+      return true
     }
+    return ['0', 'false', 'no'].includes(value) ? false : invalid(name, 'true or false')
+  }
+  var number = (name) => {
+    var value = params.get(name).trim() === '' ? NaN : Number(params.get(name))
+    return isFinite(value) && value >= 0 ? value : invalid(name, 'a number of 0 or more')
+  }
+  if (params.has('similarity'))
+  {
+    set(options, 'similarity', number('similarity'))
+  }
+  if (params.has('ignore_fields'))
+  {
+    options.ignore.fields = list('ignore_fields')
+  }
+  if (params.has('ignore_types'))
+  {
+    options.ignore.types = list('ignore_types')
   }
-  return connections_set;
+  if (params.has('ignore_comments'))
+  {
+    set(options.ignore, 'comments', flag('ignore_comments'))
+  }
+  if (params.has('ignore_whitespace'))
+  {
+    set(options.ignore, 'whitespace', flag('ignore_whitespace'))
+  }
+  if (params.has('number_tolerance'))
+  {
+    set(options.ignore, 'number_tolerance', number('number_tolerance'))
+  }
+  return options
 }
 
-var busy = false
+// ids of the workspaces scrolled by scroll(), their own viewport change
+// event is not synced again
+var busy = new Set()
 
 function scroll(event)
 {
 
 	if(event.type =='viewport_change')
 	{
-    if (busy)
+    if (busy.has(event.workspaceId))
     {
       // scroll bar triggered by other scrollbar
       // now that we had the second trigger we not busy anymore
-      busy = false
+      busy.delete(event.workspaceId)
       return
     }
 
-    busy = true
-    
-    if (event.workspaceId == mine_workspace.id)
-    {
-      var other_workspace = previous_workspace
-      var this_workspace = mine_workspace
-    }
-    else
-    {
-      var other_workspace = mine_workspace
-      var this_workspace = previous_workspace
-    }
-    var metrics = other_workspace.getMetrics()
+    var this_workspace = Blockly.Workspace.getById(event.workspaceId)
     var all_blocks = this_workspace.getAllBlocks()
     var top_left_block_id
     for (var i = 0;i<all_blocks.length;i++)
@@ -555,20 +750,63 @@ function scroll(event)
         break
       }
     }
-  
-		var corresponding_block = other_workspace.getBlockById(top_left_block_id)
-    if (corresponding_block)
-    {
-      var left_xy = corresponding_block.getRelativeToSurfaceXY()
-      other_workspace.scrollbar.set(left_xy.x * other_workspace.scale - metrics.scrollLeft,
-                                    left_xy.y * other_workspace.scale - metrics.scrollTop - 
-                                    // scroll the same amount as the top_left_block to align horizontal  
-                                     top_left_block_xy.y - this_workspace.scrollY)  
+
+    for (const other_workspace of [previous_workspace, mine_workspace, theirs_workspace, result_workspace]) {
+      if (!other_workspace || other_workspace == this_workspace)
+      {
+        continue
+      }
+      var metrics = other_workspace.getMetrics()
+      var corresponding_block = other_workspace.getBlockById(
+        corresponding_block_id(top_left_block_id, this_workspace, other_workspace))
+      if (corresponding_block)
+      {
+        busy.add(other_workspace.id)
+        var left_xy = corresponding_block.getRelativeToSurfaceXY()
+        other_workspace.scrollbar.set(left_xy.x * other_workspace.scale - metrics.scrollLeft,
+                                      left_xy.y * other_workspace.scale - metrics.scrollTop - 
+                                      // scroll the same amount as the top_left_block to align horizontal  
+                                       top_left_block_xy.y - this_workspace.scrollY)  
+      }
     }
   }
  
 }
 
+/**
+ * Id of the block in another pane. The merge result has the ids of the
+ * panes it was merged from.
+ * @param {string} id Id of the block.
+ * @param {!Blockly.Workspace} from_workspace Workspace of the block.
+ * @param {!Blockly.Workspace} to_workspace The other workspace.
+ * @return {string} Id of the block in the other workspace.
+ */
+function corresponding_block_id(id, from_workspace, to_workspace)
+{
+  if (from_workspace == mine_workspace && to_workspace == previous_workspace)
+  {
+    return other_block_id(id, 'mine')
+  }
+  if (from_workspace == previous_workspace && to_workspace == mine_workspace)
+  {
+    return other_block_id(id, 'previous')
+  }
+  // theirs is diffed against previous (the base) too
+  if (from_workspace == theirs_workspace && current_theirs_diff)
+  {
+    var base_id = other_block_id(id, 'mine', current_theirs_diff)
+    return to_workspace == previous_workspace ? base_id :
+           corresponding_block_id(base_id, previous_workspace, to_workspace)
+  }
+  if (to_workspace == theirs_workspace && current_theirs_diff)
+  {
+    var base_id = from_workspace == previous_workspace ? id :
+                  corresponding_block_id(id, from_workspace, previous_workspace)
+    return other_block_id(base_id, 'previous', current_theirs_diff)
+  }
+  return id
+}
+
 function saveFields(block) {
   const fields = Object.create(null);
   for (let i = 0; i < block.inputList.length; i++) {
@@ -593,13 +831,10 @@ function myMineSelection(event) {
   if (event.type == "selected" )
 	{
 		if(event.newElementId) {
-			// get the block from the other workspace
-      var block = previous_workspace.getBlockById(event.newElementId);
-      previous_workspace.workspaceSearch.unhighlightSearchGroup_(block.workspace.getAllBlocks());
-      previous_workspace.workspaceSearch.highlightSearchGroup_([block]);
-    	// highlight only works if the search group is applied first
-      previous_workspace.workspaceSearch.highlightCurrentSelection_(block);
-      previous_workspace.workspaceSearch.scrollToVisible_(block);
+			// get the block from the other workspaces
+      select_in_workspace(previous_workspace, other_block_id(event.newElementId, 'mine'))
+      select_in_workspace(theirs_workspace, corresponding_block_id(event.newElementId, mine_workspace, theirs_workspace))
+      select_in_workspace(result_workspace, event.newElementId)
 		}
 	}
 }
@@ -608,204 +843,834 @@ function myPreviousSelection(event) {
 	if (event.type == "selected" )
 	{
 		if(event.newElementId) {
-      var block = mine_workspace.getBlockById(event.newElementId);
-      mine_workspace.workspaceSearch.unhighlightSearchGroup_(block.workspace.getAllBlocks());
-      mine_workspace.workspaceSearch.highlightSearchGroup_([block]);
-    	// highlight only works if the search group is applied first
-      mine_workspace.workspaceSearch.highlightCurrentSelection_(block);
-      mine_workspace.workspaceSearch.scrollToVisible_(block);
+      select_in_workspace(mine_workspace, other_block_id(event.newElementId, 'previous'))
+      select_in_workspace(theirs_workspace, corresponding_block_id(event.newElementId, previous_workspace, theirs_workspace))
+      select_in_workspace(result_workspace, event.newElementId)
 		}
 	}
 }
 
+function myTheirsSelection(event) {
+	if (event.type == "selected" )
+	{
+		if(event.newElementId) {
+      for (const workspace of [previous_workspace, mine_workspace]) {
+        select_in_workspace(workspace, corresponding_block_id(event.newElementId, theirs_workspace, workspace))
+      }
+      select_in_workspace(result_workspace, event.newElementId)
+		}
+	}
+}
 
+function myResultSelection(event) {
+	if (event.type == "selected" )
+	{
+		if(event.newElementId) {
+      select_in_workspace(previous_workspace, event.newElementId)
+      select_in_workspace(mine_workspace, event.newElementId)
+      select_in_workspace(theirs_workspace, event.newElementId)
+		}
+	}
+}
 
+/**
+ * Highlight a block in another workspace and scroll to it, without
+ * selecting it there.
+ * @param {Blockly.WorkspaceSvg} workspace The workspace, may be null.
+ * @param {string} id Id of the block.
+ */
+function select_in_workspace(workspace, id)
+{
+  var block = workspace ? workspace.getBlockById(id) : null
+  if (!block)
+  {
+    return
+  }
+  workspace.workspaceSearch.unhighlightSearchGroup_(workspace.getAllBlocks());
+  workspace.workspaceSearch.highlightSearchGroup_([block]);
+  // highlight only works if the search group is applied first
+  workspace.workspaceSearch.highlightCurrentSelection_(block);
+  workspace.workspaceSearch.scrollToVisible_(block);
+}
+
+
+
+// options of diff_workspaces, see DEFAULT_DIFF_OPTIONS in diff.js
+var diff_options = {};
+// problems with the parameters on the url, see report_url_error
+var url_errors = [];
+// the diff that is shown, to find the block of the other side
+var current_diff = null;
+// the diff of previous and theirs in the three-way mode
+var current_theirs_diff = null;
+
+// conflict records of a loaded merge result, by workspace id
+var merge_conflicts = new Map();
+// editor (name and version) of the loaded file, by workspace id
+var workspace_editors = new Map();
+// name of the loaded file, by workspace id, see save_workspace
+var workspace_file_names = new Map();
+// editor of the files that do not name it, see load_from_params
+var default_editor = null;
+// flattened workspace by workspace id, updated from the block events
+var flat_workspaces = new Map();
+// the flattened previous and mine workspaces of current_diff, see update_diffs
+var diffed_workspaces = null;
+// change events not diffed yet, see show_diffs
+var pending_events = null;
+// ids of the blocks marked by the last render, by workspace id
+var marked_blocks = new Map();
+
+// events that change the blocks of a single stack, see update_flat_stacks
+const BLOCK_EVENTS = [Blockly.Events.BLOCK_CREATE, Blockly.Events.BLOCK_DELETE,
+                      Blockly.Events.BLOCK_CHANGE, Blockly.Events.BLOCK_MOVE];
+
+/**
+ * Show the diff of the panes again. As change listener the diff is updated
+ * once after all the events that Blockly fires together (like the deletes of
+ * a clear), only the stacks of their blocks are serialized again. Without
+ * event everything is serialized and diffed right away.
+ * @param {Blockly.Events.Abstract=} event The change event.
+ */
 function show_diffs(event)
 {
+  // selecting, clicking or scrolling does not change the diff
+  if (event && event.isUiEvent)
+  {
+    return
+  }
+  if (event)
+  {
+    if (!pending_events)
+    {
+      pending_events = []
+      setTimeout(() => {
+        var events = pending_events
+        pending_events = null
+        update_diffs(events)
+      })
+    }
+    pending_events.push(event)
+    return
+  }
+  update_diffs(null)
+}
 
-  var mine_blocks = mine_workspace.getAllBlocks()
-  var previous_blocks = previous_workspace.getAllBlocks()
+/**
+ * @param {Array} events The events since the last update, null to
+ *     serialize the workspaces again.
+ */
+function update_diffs(events)
+{
+  if (theirs_workspace)
+  {
+    diffed_workspaces = null
+    show_three_way_diffs()
+    render_merge_conflicts()
+    return
+  }
+  var previous_changed = new Set()
+  var mine_changed = new Set()
+  var previous = get_flat_workspace(previous_workspace, events, previous_changed)
+  var mine = get_flat_workspace(mine_workspace, events, mine_changed)
+  // only the changed stacks are diffed again when the last diff is of the
+  // same flattened workspaces
+  var diff = diffed_workspaces && diffed_workspaces[0] === previous && diffed_workspaces[1] === mine ?
+    update_diff_flat(current_diff, previous, mine, previous_changed, mine_changed, diff_options) :
+    diff_flat(previous, mine, diff_options)
+  diffed_workspaces = [previous, mine]
+  current_diff = diff
+  render_diffs(diff)
+  render_variable_diffs(diff.variables)
+  render_merge_conflicts()
+}
 
-  var mine_ids = get_ids(mine_blocks);
-  var previous_ids = get_ids(previous_blocks);
+/**
+ * Mark the blocks of the conflicts that the merge driver wrote into a loaded
+ * file and list the conflicts below the workspaces.
+ */
+function render_merge_conflicts()
+{
+  var panel = document.getElementById('merge_conflicts')
+  panel.innerHTML = ''
+  var list = document.createElement('ul')
+  for (const workspace of [previous_workspace, mine_workspace, theirs_workspace]) {
+    for (const conflict of (workspace && merge_conflicts.get(workspace.id)) || []) {
+      var block = workspace.getBlockById(conflict.id)
+      highlight_conflict(block)
+      var item = document.createElement('li')
+      item.textContent = workspace.name + ': ' + describe_merge_conflict(conflict, block)
+      item.className = 'blockly-ws-merge-conflict'
+      list.appendChild(item)
+    }
+  }
+  if (list.children.length)
+  {
+    var title = document.createElement('b')
+    title.textContent = 'Merge conflicts'
+    panel.appendChild(title)
+    panel.appendChild(list)
+  }
+}
 
-  var ids_added_mine = difference(mine_ids, previous_ids)
-  var ids_removed_mine = difference(previous_ids, mine_ids)
-  var ids_common = intersection(mine_ids, previous_ids)
-  
-  for (const id of ids_added_mine) {
-    var mine_block = mine_workspace.getBlockById(id);
-    highlightMineAdded(mine_block)
+function describe_merge_conflict(conflict, block, opt_names)
+{
+  var names = opt_names || {mine: 'mine', theirs: 'theirs'}
+  var label = (block ? block.type : 'block') + ' ' + conflict.id
+  if (conflict.kind == 'removed')
+  {
+    return label + ' removed on ' + (conflict.mine ? names.theirs : names.mine) + ' side and changed on the other'
   }
-  
-  for (const id of ids_removed_mine) {
-    var previous_block = previous_workspace.getBlockById(id);
-    highlightMineRemoved(previous_block)
+  if (conflict.kind == 'dropdown_text')
+  {
+    return label + ' dropdown ' + conflict.field + ' option ' + conflict.option + ' is ' +
+           JSON.stringify(conflict.mine) + ' on ' + names.mine + ' side and ' +
+           JSON.stringify(conflict.theirs) + ' on ' + names.theirs + ' side'
+  }
+  if (conflict.kind == 'parent')
+  {
+    return label + ' put in ' + conflict.mine + ' on ' + names.mine + ' side and in ' + conflict.theirs +
+           ' on ' + names.theirs + ' side'
+  }
+  return label + ' ' + conflict.slot + ' is ' + JSON.stringify(conflict.mine) + ' on ' + names.mine +
+         ' side and ' + JSON.stringify(conflict.theirs) + ' on ' + names.theirs + ' side'
+}
+
+/**
+ * The flattened workspace, only the stacks of the blocks of the block
+ * events are serialized again. Any other event of the workspace (variables,
+ * loading) or no events flattens the whole workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {Array} events The change events since the last update, or null.
+ * @param {!Set<string>} changed Gets the ids of the blocks serialized again,
+ *     see update_flat_stacks. A workspace that is flattened again is a new
+ *     object.
+ * @return {!Object} Result of flatten_workspace.
+ */
+function get_flat_workspace(workspace, events, changed)
+{
+  var flat = flat_workspaces.get(workspace.id)
+  var own = (events || []).filter(event => event.workspaceId == workspace.id)
+  if (flat && events && own.every(event => BLOCK_EVENTS.includes(event.type)))
+  {
+    if (!own.length)
+    {
+      return flat
+    }
+    var ids = []
+    for (const event of own)
+    {
+      ids.push(event.blockId, ...(event.ids || []))
+      if (event.oldParentId)
+      {
+        ids.push(event.oldParentId)
+      }
+    }
+    var top_blocks = workspace.getTopBlocks(false)
+    return update_flat_stacks(flat, ids,
+      id => {
+        var block = workspace.getBlockById(id)
+        return block ? block.getRootBlock().id : null
+      },
+      id => {
+        var block = workspace.getBlockById(id)
+        if (!block || block.getParent())
+        {
+          return null
+        }
+        // the same as in Blockly.serialization.workspaces.save
+        return Blockly.serialization.blocks.save(block, {addCoordinates: true, doFullSerialization: false})
+      },
+      top_blocks.map(block => block.id), changed)
+  }
+  flat = flatten_workspace(Blockly.serialization.workspaces.save(workspace))
+  flat_workspaces.set(workspace.id, flat)
+  return flat
+}
+
+function show_three_way_diffs()
+{
+  var three_way = diff_three_way(Blockly.serialization.workspaces.save(previous_workspace),
+                                 Blockly.serialization.workspaces.save(mine_workspace),
+                                 Blockly.serialization.workspaces.save(theirs_workspace),
+                                 diff_options)
+  current_diff = three_way.mine
+  current_theirs_diff = three_way.theirs
+  render_diffs(three_way.mine)
+  render_diffs(three_way.theirs, {previous: null, mine: theirs_workspace})
+  render_variable_diffs(three_way.mine.variables.concat(three_way.theirs.variables))
+
+  for (const change of three_way.changes) {
+    if (change.status == 'conflict') {
+      highlight_conflict(previous_workspace.getBlockById(change.base_id))
+      highlight_conflict(change.mine && mine_workspace.getBlockById(change.mine.id))
+      highlight_conflict(change.theirs && theirs_workspace.getBlockById(change.theirs.id))
+    }
+  }
+  render_three_way_summary(three_way.changes)
+}
+
+function highlight_conflict(block)
+{
+  // a variable or a removed block has no block on that side
+  if (block)
+  {
+    Blockly.utils.dom.addClass(block.pathObject.svgPath, 'blockly-ws-merge-highlight-conflict');
+  }
+}
+
+function render_three_way_summary(changes)
+{
+  var panel = document.getElementById('three_way_diff')
+  panel.innerHTML = ''
+  var counts = {mine: 0, theirs: 0, both: 0, conflict: 0}
+  changes.forEach(change => counts[change.status]++)
+  var title = document.createElement('b')
+  title.textContent = 'Three-way: ' + counts.mine + ' mine only, ' + counts.theirs + ' theirs only, ' +
+                      counts.both + ' on both sides, ' + counts.conflict + ' conflicting'
+  panel.appendChild(title)
+  var list = document.createElement('ul')
+  for (const change of changes.filter(change => change.status == 'conflict')) {
+    var item = document.createElement('li')
+    item.textContent = 'mine: ' + (change.mine ? change.mine.description : 'unchanged') +
+                       ', theirs: ' + (change.theirs ? change.theirs.description : 'unchanged')
+    item.className = 'blockly-ws-merge-conflict'
+    list.appendChild(item)
+  }
+  panel.appendChild(list)
+}
+
+/**
+ * Load the diff options (like the ignore rules) from a json file and show
+ * the diff again with them.
+ * @param {string} url Url of the json file.
+ * @param {Object=} opt_overrides Diff options that go before those of the
+ *     file, like the options on the url.
+ */
+function load_diff_options(url, opt_overrides)
+{
+  fetch(url)
+	.then((req) => {
+      if (!req.ok)
+      {
+        throw new Error(req.status + ' ' + req.statusText)
+      }
+      return req.json()
+  })
+	.then((json) => {
+      diff_options = opt_overrides ? merge_diff_options(json, opt_overrides) : json
+      show_diffs()
+  })
+	.catch((error) => {
+      report_url_error('could not load the diff options ' + url + ': ' + error.message)
+  })
+}
+
+// the options with the overrides, also those of the ignore rules
+function merge_diff_options(options, overrides)
+{
+  return Object.assign({}, options, overrides,
+                       {ignore: Object.assign({}, options.ignore, overrides.ignore)})
+}
+
+/**
+ * Show a problem with the url parameters or the diff options above the mine
+ * pane, it stays when a file is loaded in the pane.
+ */
+function report_url_error(text)
+{
+  url_errors.push(text)
+  var error = document.getElementById('error_mine')
+  error.textContent = [text, error.textContent].filter(line => line).join('; ')
+}
+
+/**
+ * Id of the block in the other workspace, blocks matched on their content
+ * have a different id on each side.
+ * @param {string} id Id of the block.
+ * @param {string} side Side of the block, 'previous' or 'mine'.
+ * @param {Object=} opt_diff The diff of the sides, the shown diff by default.
+ * @return {string} Id of the block on the other side.
+ */
+function other_block_id(id, side, opt_diff)
+{
+  var diff = opt_diff || current_diff
+  var matched = diff ? diff.matched : []
+  var pair = matched.find(pair => pair[side] == id)
+  if (pair)
+  {
+    return side == 'mine' ? pair.previous : pair.mine
+  }
+  return id
+}
+
+/**
+ * Context menu actions on the highlighted blocks, that undo one change in
+ * mine. Each action is a single step on the undo stack of mine.
+ */
+function register_diff_actions()
+{
+  Blockly.ContextMenuRegistry.registry.register({
+    id: 'blockly_diff_remove_added',
+    displayText: 'Take previous: remove added block',
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    weight: 100,
+    preconditionFn: scope => scope.block.workspace == mine_workspace && current_diff &&
+                             current_diff.added.includes(scope.block.id) ? 'enabled' : 'hidden',
+    callback: scope => take_previous(() => scope.block.dispose(true))
+  })
+  Blockly.ContextMenuRegistry.registry.register({
+    id: 'blockly_diff_restore_removed',
+    displayText: 'Take previous: restore in mine',
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    weight: 100,
+    preconditionFn: scope => scope.block.workspace == previous_workspace && current_diff &&
+                             current_diff.removed.includes(scope.block.id) ? 'enabled' : 'hidden',
+    callback: scope => take_previous(() => restore_removed(scope.block))
+  })
+  Blockly.ContextMenuRegistry.registry.register({
+    id: 'blockly_diff_take_fields',
+    displayText: 'Take previous: field values',
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    weight: 100,
+    preconditionFn: scope => scope.block.workspace == mine_workspace &&
+                             changed_fields(scope.block).length ? 'enabled' : 'hidden',
+    callback: scope => take_previous(() => take_previous_fields(scope.block))
+  })
+  Blockly.ContextMenuRegistry.registry.register({
+    id: 'blockly_diff_move_back',
+    displayText: 'Take previous: move back',
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    weight: 100,
+    preconditionFn: scope => scope.block.workspace == mine_workspace && current_diff &&
+                             current_diff.moved.some(change => change.id == scope.block.id) ? 'enabled' : 'hidden',
+    callback: scope => take_previous(() => move_back(scope.block))
+  })
+}
+
+function take_previous(action)
+{
+  Blockly.Events.setGroup(true)
+  try
+  {
+    action()
+  }
+  finally
+  {
+    Blockly.Events.setGroup(false)
+  }
+  show_diffs()
+}
+
+function changed_fields(block)
+{
+  if (!current_diff)
+  {
+    return []
+  }
+  return current_diff.fields.filter(change => change.id == block.id && change.kind == 'changed')
+}
+
+/**
+ * Restore a removed block in mine, with the removed blocks in its inputs,
+ * at the same parent and input as in previous.
+ * @param {!Blockly.BlockSvg} previous_block The removed block.
+ */
+function restore_removed(previous_block)
+{
+  var state = Blockly.serialization.blocks.save(previous_block, {addCoordinates: true, addNextBlocks: false})
+  strip_common_blocks(state, new Set(current_diff.removed))
+  var block = Blockly.serialization.blocks.append(state, mine_workspace)
+  var parent = previous_block.getParent()
+  if (parent)
+  {
+    connect_to(block, mine_workspace.getBlockById(other_block_id(parent.id, 'previous')),
+               parent_input_name(previous_block))
+  }
+}
+
+// the blocks that are not removed are still in mine, restore only the shadows
+function strip_common_blocks(state, removed)
+{
+  for (const connection of Object.values(state.inputs || {}).concat(state.next ? [state.next] : []))
+  {
+    if (connection.block && !removed.has(connection.block.id))
+    {
+      delete connection.block
+    }
+    else if (connection.block)
+    {
+      strip_common_blocks(connection.block, removed)
+    }
   }
+  if (state.next && !state.next.block && !state.next.shadow)
+  {
+    delete state.next
+  }
+}
 
-  // also unhighlight the other
-  for (const id of ids_common) {
-    var previous_block = previous_workspace.getBlockById(id);
-    var mine_block = mine_workspace.getBlockById(id)
-    unhighlightCommon(previous_block)
-    unhighlightCommon(mine_block) 
+function take_previous_fields(block)
+{
+  for (const change of changed_fields(block))
+  {
+    var field = block.getField(change.name)
+    if (!field)
+    {
+      continue
+    }
+    if (field instanceof Blockly.FieldVariable)
+    {
+      // the variable of the same name in mine
+      var previous_variable = previous_workspace.getVariableById(change.previous.id)
+      var variable = Blockly.Variables.getOrCreateVariablePackage(mine_workspace, null,
+                       previous_variable.name, previous_variable.type)
+      field.setValue(variable.getId())
+    }
+    else
+    {
+      field.loadState(change.previous)
+    }
   }
+}
 
+/**
+ * Move a moved block back to its parent and input in previous, the blocks
+ * below it stay where they are.
+ * @param {!Blockly.BlockSvg} block The moved block in mine.
+ */
+function move_back(block)
+{
+  var change = current_diff.moved.find(change => change.id == block.id)
+  block.unplug(true)
+  if (change.previous.parent)
+  {
+    connect_to(block, mine_workspace.getBlockById(other_block_id(change.previous.parent, 'previous')),
+               change.previous.input)
+  }
+  else
+  {
+    var position = previous_workspace.getBlockById(change.previous_id).getRelativeToSurfaceXY()
+    block.moveTo(position)
+  }
+}
 
-  var mine_connections = get_connections(mine_blocks);
-  var previous_connections = get_connections(previous_blocks);
+function parent_input_name(block)
+{
+  var parent = block.getParent()
+  if (parent.nextConnection && parent.nextConnection.targetBlock() == block)
+  {
+    return 'next'
+  }
+  return parent.getInputWithBlock(block).name
+}
 
-  var connections_added_mine = difference(mine_connections, previous_connections)
-  var connections_remove_mine = difference(previous_connections, mine_connections)
+function connect_to(block, parent, input_name)
+{
+  var connection = parent ? get_connection(parent, input_name) : null
+  if (!connection)
+  {
+    // the parent is gone in mine, leave the block at the top level
+    return
+  }
+  var own = connection.type == Blockly.connectionTypes.INPUT_VALUE ? block.outputConnection
+                                                                  : block.previousConnection
+  if (own)
+  {
+    connection.connect(own)
+  }
+}
 
-  var connections_common = intersection(previous_connections, mine_connections)
+/**
+ * Show a diff on the workspaces of its two sides.
+ * @param {!Object} diff Result of diff_workspaces.
+ * @param {Object=} opt_workspaces The previous and mine workspace of the
+ *     diff, the panes of the editor by default. A side that is null is left
+ *     as it is.
+ */
+function render_diffs(diff, opt_workspaces)
+{
+  var workspaces = opt_workspaces || {previous: previous_workspace, mine: mine_workspace}
+
+  // call fn with the block of the change on each side that is shown
+  function on_sides(change, fn) {
+    for (const side of ['previous', 'mine']) {
+      var block = change_block(change, side, workspaces)
+      if (block) {
+        fn(block, side)
+      }
+    }
+  }
 
-  highlight_connections(connections_added_mine, mine_workspace)
-  highlight_connections(connections_remove_mine, previous_workspace)
+  // only the blocks marked before or now need to be unhighlighted, not all
+  for (const side of ['previous', 'mine']) {
+    if (!workspaces[side]) {
+      continue
+    }
+    var marked = marked_ids(diff, side)
+    var last_marked = marked_blocks.get(workspaces[side].id) || new Set()
+    for (const id of new Set([...last_marked, ...marked])) {
+      var block = workspaces[side].getBlockById(id)
+      if (block) {
+        unhighlightCommon(block)
+        unhighlight_connections(block)
+        for (const key of Object.keys(saveFields(block))) {
+          apply_valid(block, key)
+        }
+      }
+    }
+    marked_blocks.set(workspaces[side].id, marked)
+  }
 
-  unhighlight_connections(connections_common, mine_workspace)
-  unhighlight_connections(connections_common, previous_workspace)
+  for (const id of (workspaces.mine ? diff.added : [])) {
+    highlightMineAdded(workspaces.mine.getBlockById(id))
+  }
   
-  for (const id of ids_common) {
-    var previous_block = previous_workspace.getBlockById(id);
-    var mine_block = mine_workspace.getBlockById(id)
-    
-    
-    var mine_state = saveFields(mine_block);
-    var previous_state = saveFields(previous_block);
-    
+  for (const id of (workspaces.previous ? diff.removed : [])) {
+    highlightMineRemoved(workspaces.previous.getBlockById(id))
+  }
+
+  // the move describes the connections it changed
+  var moved_mine = new Set(diff.moved.map(change => change.id))
+  var moved_previous = new Set(diff.moved.map(change => change.previous_id))
+  var connections = diff.connections.filter(change => !moved_mine.has(change.mine) &&
+                                                      !moved_previous.has(change.previous))
+  for (const side of ['previous', 'mine']) {
+    if (workspaces[side]) {
+      highlight_connections(connections, workspaces, side)
+    }
+  }
 
-    for (const [key, value] of Object.entries(mine_state)) {
-      if (previous_state[key]===value)
+  // lines for the warning icon of each changed block
+  var descriptions = {}
+  function describe(change, lines) {
+    if (!descriptions[change.id]) {
+      descriptions[change.id] = {id: change.id, previous_id: change.previous_id, lines: []}
+    }
+    descriptions[change.id].lines.push(...lines)
+  }
+  for (const change of diff.extra_state) {
+    on_sides(change, block => highlightValueChanged(block))
+    describe(change, change.description)
+  }
+  for (const change of diff.properties) {
+    on_sides(change, block => highlightPropertyChanged(block, change.name))
+    describe(change, [change.description])
+  }
+  for (const change of diff.shadows) {
+    describe(change, [change.description])
+  }
+  for (const change of diff.fields) {
+    describe(change, [change.description])
+  }
+  for (const change of diff.procedures) {
+    describe(change, change.description)
+    for (const id of change.callers) {
+      var caller = {id: id, previous_id: other_block_id(id, 'mine', diff)}
+      if (workspaces.mine) {
+        highlightCaller(workspaces.mine.getBlockById(id))
+      }
+      describe(caller, ['calls ' + change.mine.name + ', of which the signature changed:'].concat(change.description))
+    }
+  }
+  for (const change of diff.moved) {
+    on_sides(change, block => highlightMoved(block))
+    describe(change, [change.description])
+  }
+  for (const description of Object.values(descriptions)) {
+    // a caller can be only in mine
+    on_sides(description, block => describeChanges(block, description.lines))
+  }
+
+  for (const change of diff.fields) {
+    on_sides(change, (block, side) => {
+      if (change.kind == 'added' && side == 'mine')
       {
-        apply_valid(mine_block, key)
-        apply_valid(previous_block, key)
+        apply_invalid(block, change.name, 'blockly-ws-merge-field-added')
       }
-      else
+      else if (change.kind == 'removed' && side == 'previous')
+      {
+        apply_invalid(block, change.name, 'blockly-ws-merge-field-removed')
+      }
+      else if (change.kind == 'changed')
       {
-        apply_invalid(mine_block, key)
-        apply_invalid(previous_block, key)
+        apply_invalid(block, change.name)
       }
+    })
+  }
+}
+
+/**
+ * Ids of the blocks that a diff marks on one side.
+ * @param {!Object} diff Result of diff_workspaces.
+ * @param {string} side 'previous' or 'mine'.
+ * @return {!Set<string>} The block ids on that side.
+ */
+function marked_ids(diff, side)
+{
+  var ids = new Set(side == 'mine' ? diff.added : diff.removed)
+  for (const category of ['fields', 'connections', 'extra_state', 'properties', 'shadows', 'moved', 'procedures']) {
+    for (const change of diff[category]) {
+      ids.add(side == 'mine' ? change.id : change.previous_id)
     }
   }
+  // the value blocks of a changed value input
+  for (const change of diff.connections) {
+    ids.add(change[side])
+  }
+  for (const change of diff.procedures) {
+    for (const id of change.callers) {
+      ids.add(side == 'mine' ? id : other_block_id(id, 'mine', diff))
+    }
+  }
+  ids.delete(null)
+  ids.delete(undefined)
+  return ids
+}
+
+function render_variable_diffs(changes)
+{
+  var panel = document.getElementById('variables_diff')
+  panel.innerHTML = ''
+  if (changes.length == 0)
+  {
+    return
+  }
+  var title = document.createElement('b')
+  title.textContent = 'Variables'
+  panel.appendChild(title)
+  var list = document.createElement('ul')
+  for (const change of changes) {
+    var item = document.createElement('li')
+    item.textContent = change.description
+    item.className = 'blockly-ws-merge-variable-' + change.kind
+    list.appendChild(item)
+  }
+  panel.appendChild(list)
+}
+
+/**
+ * The block of a change on one side, the ids differ for blocks that were
+ * matched on something else than their id.
+ * @param {!Object} change Change of the diff.
+ * @param {string} side 'previous' or 'mine'.
+ * @param {Object=} opt_workspaces The previous and mine workspace, the
+ *     panes of the editor by default.
+ * @return {Blockly.BlockSvg} The block, null if the side is not shown.
+ */
+function change_block(change, side, opt_workspaces)
+{
+  var workspaces = opt_workspaces || {previous: previous_workspace, mine: mine_workspace}
+  if (!workspaces[side])
+  {
+    return null
+  }
+  return workspaces[side].getBlockById(side == 'mine' ? change.id : change.previous_id)
 }
 
 function apply_valid(block, key)
 {
   var field = block.getField(key)
+  if (!field)
+  {
+    return
+  }
   var root = field.getSvgRoot()
   
   Blockly.utils.dom.removeClass(root.children[0], 'blocklyInvalidInput');
+  Blockly.utils.dom.removeClass(root.children[0], 'blockly-ws-merge-field-added');
+  Blockly.utils.dom.removeClass(root.children[0], 'blockly-ws-merge-field-removed');
 
 }
 
-function apply_invalid(block, key)
+function apply_invalid(block, key, css_class = 'blocklyInvalidInput')
 {
   var field = block.getField(key)
+  if (!field)
+  {
+    return
+  }
   var root = field.getSvgRoot()
   
-  Blockly.utils.dom.addClass(root.children[0], 'blocklyInvalidInput');
+  Blockly.utils.dom.addClass(root.children[0], css_class);
 
 }
 
+function get_connection(block, input_name)
+{
+  if (input_name == 'next')
+  {
+    return block.nextConnection
+  }
+  var input = block.getInput(input_name)
+  return input ? input.connection : null
+}
 
-function unhighlight_connections(connections_same, this_workspace)
+function unhighlight_connections(block)
 {  
-  for (const id of connections_same) {
-    var sp  = id.split(' ')
-    var from_id = sp[0]
-    var input_name = sp[1]
-    var target_id = sp[2]
-    var block = this_workspace.getBlockById(from_id);
-  
-    var connections = block.getConnections_();
+  Blockly.utils.dom.removeClass(block.pathObject.svgPath, 'blockly-ws-merge-highlight-connection');
+  var connections = block.getConnections_();
 
-    for (var j=0;j<connections.length;j++)
+  for (var j=0;j<connections.length;j++)
+  {
+    var connection = connections[j]
+    if (connection.highlightPath)
     {
-      var connection = connections[j]
-      if (connection.type == Blockly.connectionTypes.NEXT_STATEMENT)
-      {
-		    var input = connection.getParentInput()
-		    if (input)
-		    {
-			    if (input.name == input_name)
-          {
-            if (connection.highlightPath)
-            {
-              connection.unhighlight()
-            }
-          }  
-		    }
-		    else
-        { 
-          if (input_name == 'next')
-          {
-            if (connection.highlightPath)
-            {
-              connection.unhighlight()
-            }
-          }
-        }
-      }
+      connection.unhighlight()
     }
-  } 
+  }
 }
 
+function highlight_connection(connection)
+{
+  if (connection && !connection.highlightPath)
+  { 
+    connection.highlight()
+  }
+}
 
-function highlight_connections(connections_diff, this_workspace)
+/**
+ * Highlight the changed connections on one side. Statement connections only
+ * have the connection highlight, a value input also outlines the value
+ * block plugged into it on that side and highlights its output.
+ * @param {!Array} changes Connection changes of the diff.
+ * @param {!Object} workspaces The previous and mine workspace.
+ * @param {string} side 'previous' or 'mine'.
+ */
+function highlight_connections(changes, workspaces, side)
 {  
-  
-  for (const id of connections_diff) {
-    var sp  = id.split(' ');
-    var from_id = sp[0];
-    var input_name = sp[1];
-    var target_id = sp[2];
-    var block = this_workspace.getBlockById(from_id);
-  
-    var connections = block.getConnections_();
+  for (const change of changes) {
+    var block = change_block(change, side, workspaces);
+    if (!block) {
+      continue
+    }
+    var connection = get_connection(block, change.input)
+    highlight_connection(connection)
 
-    for (var j=0;j<connections.length;j++)
+    var target = change[side] ? workspaces[side].getBlockById(change[side]) : null
+    if (connection && connection.type == Blockly.connectionTypes.INPUT_VALUE && target)
     {
-      var connection = connections[j]
-      if (connection.type == Blockly.connectionTypes.NEXT_STATEMENT)
-      {
-		    var input = connection.getParentInput()
-		    if (input)
-		    {
-			    if (input.name == input_name)
-          {
-            if (!connection.highlightPath)
-            { 
-              connection.highlight()
-            }
-          }  
-		    }
-		    else
-        { 
-          if (input_name == 'next')
-          {
-            if (!connection.highlightPath)
-            {
-              connection.highlight()
-            }
-          }
-        }
-      }
+      Blockly.utils.dom.addClass(target.pathObject.svgPath, 'blockly-ws-merge-highlight-connection');
+      highlight_connection(target.outputConnection)
     }
   } 
 }
 
-function loadFn(editor)
+function loadFn(editor, workspace)
 {
-  
+  workspace_editors.set(workspace.id, editor)
 }
 
 function clearFn(workspace)
 {
+  // the editor is set before the blocks are loaded, see
+  // load_json_text_to_workspace
 }
 
+// the editor of the workspace is saved with the blocks, so the file loads
+// the block definitions it needs
 function saveFn(workspace)
 {
+  return workspace_editors.get(workspace.id)
 }
 const serialization_name='editor';
 
@@ -840,13 +1705,89 @@ function download(name, url) {
   document.body.removeChild(a)
 }
 
+// save mine as Blockly json, kept for the pages that embed the editor
 function saveFile()
 {
-    var data = get_json(mine_workspace)
-    var blob = new Blob([data], {type: 'text/plain;charset=utf-8'});
-    var url = URL.createObjectURL(blob);
-    download('concrete.json', url)
-};
+  save_workspace('mine', 'json')
+}
+
+/**
+ * Download the merge result as mergeable json (merged.json), with the
+ * conflicts that are still open.
+ */
+function save_merged()
+{
+  save_workspace('result', 'mergeable')
+}
+
+// the extension of the file of each save format
+const SAVE_EXTENSIONS = {json: '.concrete.json', mergeable: '.json', xml: '.xml'};
+
+/**
+ * Download a pane as a file, named after the file that was loaded in it
+ * (or the pane) with the extension of the format.
+ * @param {string} pane 'previous', 'mine', 'theirs' or 'result'.
+ * @param {string} format 'json' as Blockly saves it, 'mergeable' (see
+ *     save_mergeable) or 'xml'.
+ */
+function save_workspace(pane, format)
+{
+  var workspace = {previous: previous_workspace, mine: mine_workspace,
+                   theirs: theirs_workspace, result: result_workspace}[pane]
+  var name = workspace_file_names.get(workspace.id) || pane
+  var base = name.replace(/(\.concrete)?\.(json|xml)$/i, '')
+  var blob = new Blob([workspace_text(workspace, format)], {type: 'text/plain;charset=utf-8'});
+  download(base + SAVE_EXTENSIONS[format], URL.createObjectURL(blob))
+}
+
+/**
+ * The content of the file of a workspace. Saving a mergeable file that was
+ * just loaded gives the same bytes, like the merge driver writes it.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {string} format See save_workspace.
+ * @return {string} The text of the file.
+ */
+function workspace_text(workspace, format)
+{
+  if (format == 'xml')
+  {
+    var xml = Blockly.Xml.workspaceToDom(workspace)
+    // Blockly only writes the variables that are used, json has them all
+    var variables = Blockly.Xml.variablesToDom(workspace.getAllVariables())
+    var used = xml.getElementsByTagName('variables')[0]
+    if (used)
+    {
+      xml.replaceChild(variables, used)
+    }
+    else if (variables.hasChildNodes())
+    {
+      xml.insertBefore(variables, xml.firstChild)
+    }
+    // read by xml_editor
+    var editor = workspace_editors.get(workspace.id)
+    if (editor && editor.name)
+    {
+      xml.setAttribute('editor', editor.name)
+      if (editor.version != null)
+      {
+        xml.setAttribute('editor_version', editor.version)
+      }
+    }
+    return Blockly.Xml.domToPrettyText(xml) + '\n'
+  }
+  if (format == 'json')
+  {
+    return get_json(workspace) + '\n'
+  }
+  var json = save_mergeable(workspace)
+  // open conflicts can be resolved later on
+  var conflicts = workspace == result_workspace ? current_merge.conflicts : merge_conflicts.get(workspace.id)
+  if (conflicts && conflicts.length)
+  {
+    json.conflicts = conflicts
+  }
+  return JSON.stringify(json, undefined, 2) + '\n'
+}
 
 
 function replace_blocks(obj)
@@ -867,27 +1808,6 @@ function replace_blocks(obj)
 	}
 }
 
-function inject_blocks(obj, saved_blocks)
-{
-    var properties = Object.getOwnPropertyNames(obj)
-    for (var j=0; j<properties.length;j++)
-	  {
-        if (properties[j]=='block')
-        {
-	        obj.block = saved_blocks[obj.block.id]
-        }
-        // kind of strange that the type can be object and the value null 
-        else if (typeof(obj[properties[j]])=='object' && obj[properties[j]]!=null)
-        {
-          inject_blocks(obj[properties[j]], saved_blocks)
-        }
-        else
-        {
-          // value, no need to process
-        }
-	  }
-}
-
 function save_mergeable(workspace)
 {
     var blocks = workspace.getAllBlocks();
@@ -905,94 +1825,293 @@ function save_mergeable(workspace)
     }
     save_blocks['top_blocks'] = workspace.getTopBlocks().map(block => block.id);
     save_blocks['mergeable'] = true;
+    // in the order merge_mergeable writes them
+    var editor = workspace_editors.get(workspace.id)
+    if (editor)
+    {
+      save_blocks['editor'] = editor
+    }
+    var variables = new Blockly.serialization.variables.VariableSerializer().save(workspace)
+    if (variables)
+    {
+      save_blocks['variables'] = variables
+    }
 
     return save_blocks
 }
 
-function load_blocks(editor)
+/**
+ * Load a serialized workspace after checking its connections against the
+ * block definitions. A connection that Blockly would reject is left out,
+ * its block goes to the top level. Those and the blocks that are not where
+ * the file puts them after the load are shown as error of the pane.
+ * @param {!Object} json Serialized workspace (not mergeable).
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to load it in.
+ * @param {Object=} opt_load_options Options of
+ *     Blockly.serialization.workspaces.load, like recordUndo.
+ */
+function load_checked(json, workspace, opt_load_options)
 {
+  var checked = check_connections(json)
+  Blockly.serialization.workspaces.load(checked.json, workspace, opt_load_options)
+  var violations = new Set(checked.violations.map(violation => violation.id))
+  var bumped = find_bumped(json, workspace).filter(block => !violations.has(block.id))
+
+  var lines = checked.violations.map(violation =>
+    violation.type + ' in ' + violation.parent_type + '.' + violation.input + ': ' + violation.reason)
+  lines.push(...bumped.map(block =>
+    block.type + ' is not in ' + block.input + ' of ' + block.parent +
+    (block.actual === undefined ? ', it was not loaded' : block.actual ? ', it is in ' + block.actual : ', it is at the top level')))
+  var text = lines.length ? lines.length + ' connection problem(s): ' + lines.join('; ') : ''
+  if (workspace == mine_workspace)
+  {
+    text = url_errors.concat(text ? [text] : []).join('; ')
+  }
+  document.getElementById(error_element_id(workspace)).textContent = text
 }
-function load_mergeable(saved_blocks, workspace)
+
+function error_element_id(workspace)
 {
+  if (workspace == previous_workspace)
+  {
+    return 'error_previous'
+  }
+  if (workspace == theirs_workspace)
+  {
+    return 'error_theirs'
+  }
+  if (workspace == result_workspace)
+  {
+    return 'error_result'
+  }
+  return 'error_mine'
+}
 
-  fetch('editors/'+saved_blocks.editor.name+'/blocks.js')
-	.then(req => req.text())
-	.then((res) => {
-      // load the blocks
-	    // Blockly is already loaded so remove from blocks.js
+// the editors in editors/, tried in this order when a file does not name
+// its editor
+const EDITORS = ['Factory/Code', 'fectar'];
+
+/**
+ * Load the block definitions of an editor.
+ * @param {Object|undefined} editor The editor of the file, nothing is loaded
+ *     without a name.
+ * @return {!Promise} Resolves once the blocks are defined.
+ */
+function load_blocks(editor)
+{
+  if (!editor || !editor.name)
+  {
+    return Promise.resolve()
+  }
+  return fetch('editors/'+editor.name+'/blocks.js')
+    .then(req => req.text())
+    .then((res) => {
+      // Blockly is already loaded so remove from blocks.js
       res = res.replace("import * as Blockly from 'blockly';","")
       eval(res);
-      var keys = Object.keys(saved_blocks)
-      for (var i=0; i<keys.length;i++)
-      {
-            inject_blocks(saved_blocks[keys[i]],saved_blocks)
-      }
-      workspace.clear()
-      for (var i=0; i<saved_blocks['top_blocks'].length;i++)
-      {
-        var id = saved_blocks['top_blocks'][i]
-        Blockly.serialization.blocks.append(saved_blocks[id], workspace)
-      }
-  })
-	
-	
-	
+    })
+}
+
+/**
+ * The editor of which the blocks.js defines most of the block types.
+ * @param {!Array<string>} types The block types of a file.
+ * @return {!Promise} Resolves to the editor, undefined when none defines
+ *     any of the types (standard Blockly blocks).
+ */
+function detect_editor(types)
+{
+  return Promise.all(EDITORS.map(name => fetch('editors/'+name+'/blocks.js').then(req => req.text())))
+    .then((texts) => {
+      var counts = texts.map(text => new Set(types.filter(type => text.includes("Blockly.Blocks['" + type + "']"))).size)
+      var best = counts.indexOf(Math.max(...counts))
+      return counts[best] ? {name: EDITORS[best]} : undefined
+    })
 }
 
-function load_json_text_to_workspace(workspace, text)
+function is_xml_text(text)
 {
-  var json = JSON.parse(text);
-  workspace.clear()
-  if (json.mergeable)
+  return text.trimStart().startsWith('<')
+}
+
+/**
+ * The editor named on the root element of a Blockly XML file, in the
+ * attributes editor and editor_version.
+ */
+function xml_editor(xml)
+{
+  var name = xml.getAttribute('editor')
+  if (!name)
   {
-    load_mergeable(json, workspace)
+    return undefined
   }
-  else
+  var version = xml.getAttribute('editor_version')
+  return version == null ? {name: name} : {name: name, version: Number(version)}
+}
+
+function xml_block_types(xml)
+{
+  return Array.from(xml.getElementsByTagName('block')).concat(Array.from(xml.getElementsByTagName('shadow')))
+    .map(element => element.getAttribute('type'))
+}
+
+/**
+ * Convert a Blockly XML workspace to a serialized workspace, through a
+ * workspace that is not shown, so it is the same as the json Blockly saves
+ * for it. The block definitions must be loaded.
+ * @param {!Element} xml The root element of the file.
+ * @return {!Object} Serialized workspace.
+ */
+function xml_to_json(xml)
+{
+  var scratch = new Blockly.Workspace()
+  Blockly.Events.disable()
+  try
+  {
+    Blockly.Xml.domToWorkspace(xml, scratch)
+    var json = Blockly.serialization.workspaces.save(scratch)
+  }
+  finally
+  {
+    Blockly.Events.enable()
+    scratch.dispose()
+  }
+  restore_xml_connections(xml, json)
+  return json
+}
+
+// Blockly puts a block that does not fit its connection at the top level
+// when it loads xml, put it back where the xml has it so that load_checked
+// reports it like it does for json
+function restore_xml_connections(xml, json)
+{
+  var states = index_states(json)
+  for (const element of Array.from(xml.getElementsByTagName('block')))
   {
-    if(json?.editor?.name)
+    var connection = element.parentNode
+    var parent = connection && connection.parentNode
+    var id = element.getAttribute('id')
+    if (!parent || !['value', 'statement', 'next'].includes(connection.nodeName) || !states[id] ||
+        !Array.isArray(states[id].holder))
     {
-      
-      fetch('editors/'+json.editor.name+'/blocks.js')
-        .then(req => req.text())
-        .then((res) => {
-          // load the blocks
-          // Blockly is already loaded so remove from blocks.js
-          res = res.replace("import * as Blockly from 'blockly';","")
-          eval(res);
-
-          // load the json once the eval and thus the custom blocks are there
-          Blockly.serialization.workspaces.load(json, workspace)
-  
-    
-        })
+      continue
     }
-    else {
-      // just load the json and works for standard Blockly blocks
-      Blockly.serialization.workspaces.load(json, workspace)
-  
+    var parent_state = (states[parent.getAttribute('id')] || {}).state
+    if (!parent_state)
+    {
+      continue
+    }
+    var state = states[id].state
+    json.blocks.blocks.splice(states[id].key, 1)
+    delete state.x
+    delete state.y
+    if (connection.nodeName == 'next')
+    {
+      parent_state.next = Object.assign(parent_state.next || {}, {block: state})
+    }
+    else
+    {
+      parent_state.inputs = parent_state.inputs || {}
+      var name = connection.getAttribute('name')
+      parent_state.inputs[name] = Object.assign(parent_state.inputs[name] || {}, {block: state})
     }
+    states = index_states(json)
   }
 }
 
-function load_previous_from_website()
+/**
+ * Load a workspace file in any of the formats: json as Blockly saves it,
+ * the mergeable json (see save_mergeable) or Blockly xml. The blocks of the
+ * editor of the file are loaded first, when the file does not name its
+ * editor it is the editor that defines its block types.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to load it in.
+ * @param {string} text The content of the file.
+ * @param {string=} opt_name The name of the file.
+ */
+function load_json_text_to_workspace(workspace, text, opt_name)
 {
- fetch('codegen_previous.json')
-	.then(req => req.text())
-	.then((res) => {
-      load_json_text_to_workspace(previous_workspace, res);
+  var xml = null
+  var json = null
+  try
+  {
+    if (is_xml_text(text))
+    {
+      xml = Blockly.utils.xml.textToDom(text)
+    }
+    else
+    {
+      json = JSON.parse(text)
+    }
+  }
+  catch (error)
+  {
+    document.getElementById(error_element_id(workspace)).textContent = 'not a workspace file: ' + error.message
+    return
+  }
+  workspace.clear()
+  workspace_file_names.set(workspace.id, opt_name)
+  // written by the merge driver, see merge_mergeable
+  merge_conflicts.set(workspace.id, (json && json.conflicts) || [])
+  var editor = (xml ? xml_editor(xml) : json.editor) || default_editor
+  var found = editor && editor.name ? Promise.resolve(editor) :
+    detect_editor(xml ? xml_block_types(xml) :
+                  Object.values(flatten_workspace(json).blocks).map(block => block.type))
+  found.then((editor) => {
+    workspace_editors.set(workspace.id, editor)
+    return load_blocks(editor).then(() => {
+      if (xml)
+      {
+        load_checked(xml_to_json(xml), workspace)
+      }
+      else
+      {
+        // load the json once the eval and thus the custom blocks are there
+        load_checked(json.mergeable ? expand_mergeable(json) : json, workspace)
+      }
+    })
+  }).catch((error) => {
+    document.getElementById(error_element_id(workspace)).textContent = error.message
   })
 }
 
+function load_previous_from_website(opt_url)
+{
+  load_from_website(previous_workspace, opt_url || 'codegen_previous.json')
+}
+
+
+function load_mine_from_website(opt_url)
+{
+  load_from_website(mine_workspace, opt_url || 'codegen_mine.json')
+}
 
-function load_mine_from_website()
+/**
+ * Load a file from the server in a pane, a file that can not be fetched is
+ * shown as error of the pane.
+ */
+function load_from_website(workspace, url)
 {
- fetch('codegen_mine.json')
-	.then(req => req.text())
+ fetch(url)
+	.then((req) => {
+      if (!req.ok)
+      {
+        throw new Error(req.status + ' ' + req.statusText)
+      }
+      return req.text()
+  })
 	.then((res) => {
-      load_json_text_to_workspace(mine_workspace, res);
+      load_json_text_to_workspace(workspace, res, url_file_name(url));
+  })
+	.catch((error) => {
+      workspace.clear()
+      document.getElementById(error_element_id(workspace)).textContent = 'could not load ' + url + ': ' + error.message
   })
 }
 
+function url_file_name(url)
+{
+  return decodeURIComponent(new URL(url, location.href).pathname.split('/').pop())
+}
+
 function add_load_previous()
 {
   const inputElement = document.getElementById("input_previous");
@@ -1000,21 +2119,148 @@ function add_load_previous()
   
   function handleFiles() {
     for (let i = 0; i < this.files.length; i++) {
-		var file = this.files[i];
-		if (file) {
-		  var reader = new FileReader();
-		  reader.readAsText(file, "UTF-8");
-		  reader.onload = function (evt) {
-			  load_json_text_to_workspace(previous_workspace, evt.target.result)
-			}
-		  reader.onerror = function (evt) {
-			  document.getElementById("error_previous").innerHTML = "error reading file";
-		  }
-		}
+      load_file(previous_workspace, this.files[i])
+    }
+  }
+}
+
+function add_load_theirs()
+{
+  const inputElement = document.getElementById("input_theirs");
+  inputElement.addEventListener("change", handleFiles, false);
+  
+  function handleFiles() {
+    for (let i = 0; i < this.files.length; i++) {
+      start_three_way()
+      load_file(theirs_workspace, this.files[i])
+    }
+  }
+}
+
+function add_apply_patch()
+{
+  for (const [id, reverse] of [["input_patch", false], ["input_reverse_patch", true]]) {
+    const inputElement = document.getElementById(id);
+    inputElement.addEventListener("change", handleFiles, false);
+
+    function handleFiles() {
+      var file = this.files[0];
+      if (file) {
+        var reader = new FileReader();
+        reader.readAsText(file, "UTF-8");
+        reader.onload = function (evt) {
+          try {
+            var patch = JSON.parse(evt.target.result)
+            apply_patch_to_workspace(mine_workspace, reverse ? reverse_patch(patch) : patch)
+          }
+          catch (error) {
+            document.getElementById("error_mine").textContent = "could not apply the patch: " + error.message;
+          }
+        }
+        reader.onerror = function (evt) {
+          document.getElementById("error_mine").innerHTML = "error reading file";
+        }
+      }
+      // the same file can be applied again
+      this.value = ''
     }
   }
 }
 
+/**
+ * Download the diff of the panes as a patch, see create_patch.
+ */
+function export_patch()
+{
+  var patch = create_patch(Blockly.serialization.workspaces.save(previous_workspace),
+                           Blockly.serialization.workspaces.save(mine_workspace),
+                           diff_options)
+  var blob = new Blob([JSON.stringify(patch, undefined, 2)], {type: 'text/plain;charset=utf-8'});
+  download('diff.patch.json', URL.createObjectURL(blob))
+}
+
+/**
+ * Apply a patch to a live workspace, as a single step on its undo stack.
+ * Its connections are checked like those of a loaded file, the anchors that
+ * do not exist in the workspace are shown as error too.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {!Object} patch The patch.
+ * @return {!Array} The missing anchors, see apply_patch.
+ */
+function apply_patch_to_workspace(workspace, patch)
+{
+  var result = apply_patch(Blockly.serialization.workspaces.save(workspace), patch)
+  Blockly.Events.setGroup(true)
+  try
+  {
+    load_checked(result.json, workspace, {recordUndo: true})
+  }
+  finally
+  {
+    Blockly.Events.setGroup(false)
+  }
+  if (result.missing.length)
+  {
+    var error = document.getElementById(error_element_id(workspace))
+    error.textContent = [error.textContent, 'patch anchors not found: ' +
+      result.missing.map(missing => missing.operation.op + ' ' + missing.id).join(', ')].filter(text => text).join('; ')
+  }
+  return result.missing
+}
+
+/**
+ * Load files dropped on the previous or the mine pane in that pane. Two
+ * files dropped at once are loaded as previous (the older) and mine (the
+ * newer).
+ */
+function add_drop_files()
+{
+  for (const [id, side] of [["blocklyPreviousDiv", "previous"], ["blocklyMineDiv", "mine"]]) {
+    const div = document.getElementById(id);
+    div.addEventListener("dragover", (event) => {
+      if (event.dataTransfer.types.includes("Files")) {
+        // allow the drop
+        event.preventDefault()
+        div.classList.add("blockly-ws-merge-drop-target")
+      }
+    })
+    div.addEventListener("dragleave", (event) => {
+      if (!div.contains(event.relatedTarget)) {
+        div.classList.remove("blockly-ws-merge-drop-target")
+      }
+    })
+    div.addEventListener("drop", (event) => {
+      event.preventDefault()
+      div.classList.remove("blockly-ws-merge-drop-target")
+      var files = Array.from(event.dataTransfer.files)
+      if (files.length == 2) {
+        files.sort((a, b) => a.lastModified - b.lastModified)
+        load_file(previous_workspace, files[0])
+        load_file(mine_workspace, files[1])
+      }
+      else if (files.length == 1) {
+        load_file(side == "previous" ? previous_workspace : mine_workspace, files[0])
+      }
+      else if (files.length) {
+        document.getElementById("error_" + side).textContent =
+          files.length + " files dropped, drop one file on a pane or two to compare them";
+      }
+    })
+  }
+}
+
+function load_file(workspace, file)
+{
+  var reader = new FileReader();
+  reader.readAsText(file, "UTF-8");
+  reader.onload = function (evt) {
+    load_json_text_to_workspace(workspace, evt.target.result, file.name)
+  }
+  reader.onerror = function (evt) {
+    document.getElementById(error_element_id(workspace)).innerHTML = "error reading file";
+  }
+}
+
 function add_load_mine()
 {
   const inputElement = document.getElementById("input_mine");
@@ -1022,17 +2268,7 @@ function add_load_mine()
   
   function handleFiles() {
     for (let i = 0; i < this.files.length; i++) {
-		var file = this.files[i];
-		if (file) {
-		  var reader = new FileReader();
-		  reader.readAsText(file, "UTF-8");
-		  reader.onload = function (evt) {
-			  load_json_text_to_workspace(mine_workspace, evt.target.result)
-			}
-		  reader.onerror = function (evt) {
-			  document.getElementById("error_mine").innerHTML = "error reading file";
-		  }
-		}
+      load_file(mine_workspace, this.files[i])
     }
   }
 }
@@ -1093,6 +2329,43 @@ const CSS_CONTENT = [
 'path.blocklyPath.blockly-ws-merge-highlight-mine-removed {',
  'fill: lightcoral;',
 '}',
+'.blocklyEditableText>rect.blocklyFieldRect.blockly-ws-merge-field-added {',
+  'stroke: green;',
+  'stroke-width: 2px;',
+'}',
+'.blocklyEditableText>rect.blocklyFieldRect.blockly-ws-merge-field-removed {',
+  'stroke: lightcoral;',
+  'stroke-width: 2px;',
+'}',
+'.blockly-ws-merge-comment-changed>.blocklyIconGroup>.blocklyIconShape {',
+ 'fill: orange;',
+'}',
+'.blockly-ws-merge-enabled-changed>path.blocklyPath {',
+ 'stroke: black;',
+ 'stroke-width: 2px;',
+ 'stroke-dasharray: 6 3;',
+'}',
+'.blockly-ws-merge-collapsed-changed>path.blocklyPath {',
+ 'stroke: blue;',
+ 'stroke-width: 2px;',
+ 'stroke-dasharray: 2 2;',
+'}',
+'.blockly-ws-merge-inline-changed>path.blocklyPath {',
+ 'stroke: teal;',
+ 'stroke-width: 3px;',
+'}',
+'path.blocklyPath.blockly-ws-merge-highlight-caller {',
+ 'stroke: darkorange;',
+ 'stroke-width: 3px;',
+ 'stroke-dasharray: 8 4;',
+'}',
+'path.blocklyPath.blockly-ws-merge-highlight-connection {',
+ 'stroke: orange;',
+ 'stroke-width: 3px;',
+'}',
+'path.blocklyPath.blockly-ws-merge-highlight-moved {',
+ 'fill: lightskyblue;',
+'}',
 '.geras-renderer.classic-theme .blocklyEditableText>rect.blocklyFieldRect.blocklyInvalidInput {',
   'stroke: red;',
   'fill: #fff;',
@@ -1105,6 +2378,23 @@ const CSS_CONTENT = [
 'path.blocklyPath.blockly-ws-merge-highlight.blockly-ws-merge-current {',
  'fill: grey;',
 '}',
+'path.blocklyPath.blockly-ws-merge-highlight-conflict {',
+ 'fill: gold;',
+ 'stroke: red;',
+ 'stroke-width: 3px;',
+'}',
+'.blockly-ws-merge-conflict {',
+ 'color: red;',
+'}',
+'.blockly-ws-merge-variable-added {',
+ 'color: green;',
+'}',
+'.blockly-ws-merge-variable-removed {',
+ 'color: lightcoral;',
+'}',
+'.blockly-ws-merge-variable-renamed, .blockly-ws-merge-variable-type_changed {',
+ 'color: purple;',
+'}',
 '.blockly-ws-merge-close-btn {',
  'background: url(' + CLOSE_SVG_DATAURI + ') no-repeat top left;',
 '}',
@@ -1138,6 +2428,11 @@ const CSS_CONTENT = [
 '.blockly-ws-merge-content {',
  'display: flex;',
 '}',
+'.blockly-ws-merge-drop-target .blocklyMainBackground {',
+ 'fill: #e3f0fb;',
+ 'stroke: #4a90d9;',
+ 'stroke-width: 3px;',
+'}',
 /* eslint-enable indent */
 ];
 
@@ -0,0 +1,764 @@
+/**
+ * @fileoverview Three-way diff of serialized Blockly workspaces against a
+ * common ancestor (base). Builds on diff.js, every change is keyed on the
+ * base block id, like the per-block layout of the mergeable format.
+ */
+'use strict';
+
+if (typeof module !== 'undefined' && module.exports)
+{
+  var { deep_equal, diff_workspaces } = require('./diff.js');
+}
+
+/**
+ * Key every change of a diff on the base block it belongs to.
+ * @param {!Object} diff Result of diff_workspaces(base, side).
+ * @return {!Map} Key to category, base id, compared value and the change.
+ */
+function key_changes(diff)
+{
+  var changes = new Map()
+  function add(key, category, base_id, value, change)
+  {
+    changes.set(key, {category: category, base_id: base_id, value: value, change: change})
+  }
+  for (const id of diff.added)
+  {
+    add('block ' + id, 'block', id, 'added', {id: id, previous_id: null, description: 'block added'})
+  }
+  for (const id of diff.removed)
+  {
+    add('block ' + id, 'block', id, 'removed', {id: null, previous_id: id, description: 'block removed'})
+  }
+  for (const change of diff.fields)
+  {
+    add('field ' + change.previous_id + ' ' + change.name, 'field', change.previous_id, change.mine, change)
+  }
+  for (const change of diff.connections)
+  {
+    add('connection ' + change.previous_id + ' ' + change.input, 'connection', change.previous_id, change.mine, change)
+  }
+  for (const change of diff.extra_state)
+  {
+    add('extra_state ' + change.previous_id, 'extra_state', change.previous_id, change.mine, change)
+  }
+  for (const change of diff.properties)
+  {
+    add('property ' + change.previous_id + ' ' + change.name, 'property', change.previous_id, change.mine, change)
+  }
+  for (const change of diff.moved)
+  {
+    add('moved ' + change.previous_id, 'moved', change.previous_id, change.mine, change)
+  }
+  for (const change of diff.variables)
+  {
+    add('variable ' + (change.previous_id || change.id) + ' ' + change.kind, 'variable',
+        change.previous_id || change.id, change.mine, change)
+  }
+  return changes
+}
+
+/**
+ * Three-way diff. Each change of mine or theirs against base is classified
+ * as 'mine' (only in mine), 'theirs' (only in theirs), 'both' (the same
+ * change on both sides) or 'conflict' (different changes of the same
+ * thing, or a block removed on one side and changed on the other).
+ * @param {!Object} base_json Serialized common ancestor.
+ * @param {!Object} mine_json Serialized mine workspace.
+ * @param {!Object} theirs_json Serialized theirs workspace.
+ * @param {Object=} options Options of diff_workspaces.
+ * @return {!Object} The diffs of mine and theirs against base and the
+ *     classified changes.
+ */
+function diff_three_way(base_json, mine_json, theirs_json, options)
+{
+  var mine_diff = diff_workspaces(base_json, mine_json, options)
+  var theirs_diff = diff_workspaces(base_json, theirs_json, options)
+  var mine_changes = key_changes(mine_diff)
+  var theirs_changes = key_changes(theirs_diff)
+
+  var changes = []
+  for (const key of new Set([...mine_changes.keys(), ...theirs_changes.keys()]))
+  {
+    var mine = mine_changes.get(key)
+    var theirs = theirs_changes.get(key)
+    var status
+    if (mine && theirs)
+    {
+      status = deep_equal(mine.value, theirs.value) ? 'both' : 'conflict'
+    }
+    else
+    {
+      status = mine ? 'mine' : 'theirs'
+    }
+    var either = mine || theirs
+    changes.push({
+      key: key,
+      category: either.category,
+      base_id: either.base_id,
+      status: status,
+      mine: mine ? mine.change : null,
+      theirs: theirs ? theirs.change : null,
+      description: either.change.description
+    })
+  }
+
+  // a block removed on one side can not keep the changes of the other side
+  for (const removal of changes)
+  {
+    if (removal.category != 'block' || removal.status == 'both' ||
+        (removal.mine || removal.theirs).id !== null)
+    {
+      continue
+    }
+    var other_side = removal.mine ? 'theirs' : 'mine'
+    for (const change of changes)
+    {
+      if (change !== removal && change.base_id == removal.base_id && change[other_side] &&
+          change.category != 'variable')
+      {
+        change.status = 'conflict'
+        removal.status = 'conflict'
+      }
+    }
+  }
+
+  return {
+    mine: mine_diff,
+    theirs: theirs_diff,
+    changes: changes
+  }
+}
+
+// keys of a mergeable file that are no block
+const MERGEABLE_KEYS = ['top_blocks', 'mergeable', 'editor', 'variables', 'conflicts'];
+
+/**
+ * Split a block of a mergeable file in the parts that are merged on their
+ * own: each field, each input and next (the id of the block in it and the
+ * shadow), the position and every other property.
+ * @param {Object} block Block of a mergeable file, undefined if absent.
+ * @return {!Object} Slot name to value.
+ */
+function block_slots(block)
+{
+  var slots = {}
+  if (!block)
+  {
+    return slots
+  }
+  for (const key of Object.keys(block))
+  {
+    if (key == 'fields')
+    {
+      for (const name of Object.keys(block.fields))
+      {
+        slots['fields.' + name] = block.fields[name]
+      }
+    }
+    else if (key == 'inputs' || key == 'next')
+    {
+      var connections = key == 'next' ? {next: block.next} : block.inputs
+      for (const name of Object.keys(connections))
+      {
+        var prefix = key == 'next' ? 'next' : 'inputs.' + name
+        if (connections[name].block)
+        {
+          slots[prefix + '.block'] = connections[name].block.id
+        }
+        if (connections[name].shadow)
+        {
+          slots[prefix + '.shadow'] = connections[name].shadow
+        }
+      }
+    }
+    else if (key == 'x' || key == 'y')
+    {
+      slots.position = {x: block.x, y: block.y}
+    }
+    else if (key != 'id')
+    {
+      slots[key] = block[key]
+    }
+  }
+  return slots
+}
+
+/**
+ * Put the merged slots of a block back together.
+ * @param {string} id Id of the block.
+ * @param {!Object} slots Slot name to value.
+ * @return {!Object} Block of a mergeable file.
+ */
+function slots_block(id, slots)
+{
+  var block = {}
+  for (const slot of Object.keys(slots))
+  {
+    var value = slots[slot]
+    var path = slot.split('.')
+    if (slot == 'position')
+    {
+      block.x = value.x
+      block.y = value.y
+    }
+    else if (path[0] == 'type')
+    {
+      block.type = value
+      block.id = id
+    }
+    else if (path[0] == 'fields')
+    {
+      block.fields = block.fields || {}
+      block.fields[path.slice(1).join('.')] = value
+    }
+    else if (path[0] == 'inputs' || path[0] == 'next')
+    {
+      var kind = path[path.length - 1]
+      var connection
+      if (path[0] == 'next')
+      {
+        connection = block.next = block.next || {}
+      }
+      else
+      {
+        var name = path.slice(1, -1).join('.')
+        block.inputs = block.inputs || {}
+        connection = block.inputs[name] = block.inputs[name] || {}
+      }
+      connection[kind] = kind == 'block' ? {id: value} : value
+    }
+    else
+    {
+      block[slot] = value
+    }
+  }
+  return block
+}
+
+/**
+ * Three-way merge of one value: the side that changed it wins, a value
+ * changed differently on both sides is a conflict.
+ * @return {!Object} The merged value and whether it is a conflict.
+ */
+function merge_value(base, mine, theirs)
+{
+  if (deep_equal(mine, theirs) || deep_equal(theirs, base))
+  {
+    return {value: mine, conflict: false}
+  }
+  if (deep_equal(mine, base))
+  {
+    return {value: theirs, conflict: false}
+  }
+  return {value: mine, conflict: true}
+}
+
+/**
+ * Automatic three-way merge of files in the mergeable format written by
+ * save_mergeable. Blocks are merged on their id, per field, per input and
+ * per property. What was changed differently on both sides keeps the value
+ * of mine and gets a conflict record, as does a block removed on one side
+ * and changed on the other (the block is kept) and a block that was put in
+ * a different place on each side. The result is a mergeable file again
+ * that loads as is, with the conflict records in its conflicts list.
+ * @param {!Object} base Mergeable file of the common ancestor.
+ * @param {!Object} mine Mergeable file of mine.
+ * @param {!Object} theirs Mergeable file of theirs.
+ * @return {!Object} The merged file and the list of conflicts, each with
+ *     the block id, the slot ('fields.NAME', 'inputs.NAME.block', 'next.block',
+ *     'extraState', ...) or null for the whole block, the kind ('changed',
+ *     'removed', 'parent' or 'dropdown_text', see merge_extra_state) and the
+ *     base, mine and theirs values.
+ */
+function merge_mergeable(base, mine, theirs)
+{
+  var conflicts = []
+  var blocks = {}
+  var removed = new Set()
+
+  var ids = [...Object.keys(mine), ...Object.keys(theirs), ...Object.keys(base)]
+  for (const id of new Set(ids.filter(id => !MERGEABLE_KEYS.includes(id))))
+  {
+    var in_mine = id in mine
+    var in_theirs = id in theirs
+    if (!in_mine && !in_theirs)
+    {
+      // removed on both sides
+      removed.add(id)
+      continue
+    }
+    if (id in base && (!in_mine || !in_theirs))
+    {
+      var kept = in_mine ? mine[id] : theirs[id]
+      if (deep_equal(block_slots(kept), block_slots(base[id])) || only_moved(kept, base[id]))
+      {
+        // removed on one side, unchanged on the other
+        removed.add(id)
+        continue
+      }
+      conflicts.push({id: id, slot: null, kind: 'removed', base: base[id],
+                      mine: in_mine ? mine[id] : null, theirs: in_theirs ? theirs[id] : null})
+      blocks[id] = kept
+      continue
+    }
+    var base_slots = block_slots(base[id])
+    var mine_slots = block_slots(mine[id])
+    var theirs_slots = block_slots(theirs[id])
+    var merged = {}
+    var slots = [...Object.keys(mine_slots), ...Object.keys(theirs_slots), ...Object.keys(base_slots)]
+    for (const slot of new Set(slots))
+    {
+      var result = slot == 'extraState' ?
+        merge_extra_state(id, base_slots[slot], mine_slots[slot], theirs_slots[slot], conflicts) :
+        merge_value(base_slots[slot], mine_slots[slot], theirs_slots[slot])
+      if (result.conflict && slot != 'position')
+      {
+        conflicts.push({id: id, slot: slot, kind: 'changed', base: base_slots[slot],
+                        mine: mine_slots[slot], theirs: theirs_slots[slot]})
+      }
+      if (result.value !== undefined)
+      {
+        merged[slot] = result.value
+      }
+    }
+    blocks[id] = slots_block(id, merged)
+  }
+
+  var top_blocks = fix_structure(blocks, removed, {base: base, mine: mine, theirs: theirs}, conflicts)
+
+  var result = {}
+  for (const id of Object.keys(blocks))
+  {
+    result[id] = blocks[id]
+  }
+  result.top_blocks = top_blocks
+  result.mergeable = true
+  var editor = mine.editor || theirs.editor
+  if (editor)
+  {
+    result.editor = editor
+  }
+  var variables = merge_variables(base.variables, mine.variables, theirs.variables, conflicts)
+  if (variables)
+  {
+    result.variables = variables
+  }
+  if (conflicts.length)
+  {
+    result.conflicts = conflicts
+  }
+  return {merged: result, conflicts: conflicts}
+}
+
+/**
+ * Merge the extraState of a block. The dropdown option caches of the
+ * Factory/Code blocks (dropdowns[].options, text and id of each option) are
+ * the union of both sides, an option that got a different text on each side
+ * is a 'dropdown_text' conflict. The rest of the state is merged as a whole.
+ * @return {!Object} The merged value and whether the rest is a conflict.
+ */
+function merge_extra_state(id, base, mine, theirs, conflicts)
+{
+  var result = merge_value(base, mine, theirs)
+  if (!result.conflict || !has_dropdowns(mine) || !has_dropdowns(theirs))
+  {
+    return result
+  }
+  var without_dropdowns = state => {
+    var rest = Object.assign({}, state)
+    delete rest.dropdowns
+    return rest
+  }
+  var rest = merge_value(base ? without_dropdowns(base) : undefined, without_dropdowns(mine), without_dropdowns(theirs))
+  var merged = {}
+  for (const key of new Set([...Object.keys(mine), ...Object.keys(theirs)]))
+  {
+    if (key == 'dropdowns')
+    {
+      merged.dropdowns = merge_dropdowns(id, has_dropdowns(base) ? base.dropdowns : [],
+                                         mine.dropdowns, theirs.dropdowns, conflicts)
+    }
+    else if (rest.value && rest.value[key] !== undefined)
+    {
+      merged[key] = rest.value[key]
+    }
+  }
+  return {value: merged, conflict: rest.conflict}
+}
+
+function has_dropdowns(state)
+{
+  return !!state && Array.isArray(state.dropdowns)
+}
+
+function merge_dropdowns(id, base, mine, theirs, conflicts)
+{
+  var merged = JSON.parse(JSON.stringify(mine))
+  for (const dropdown of theirs)
+  {
+    var merged_dropdown = merged.find(other => other.field == dropdown.field)
+    if (!merged_dropdown)
+    {
+      merged.push(JSON.parse(JSON.stringify(dropdown)))
+      continue
+    }
+    var base_dropdown = base.find(other => other.field == dropdown.field)
+    for (const option of dropdown.options || [])
+    {
+      var index = merged_dropdown.options.findIndex(other => other.id == option.id)
+      if (index == -1)
+      {
+        merged_dropdown.options.push(Object.assign({}, option))
+        continue
+      }
+      var mine_text = merged_dropdown.options[index].text
+      var base_option = base_dropdown && (base_dropdown.options || []).find(other => other.id == option.id)
+      var base_text = base_option ? base_option.text : undefined
+      if (mine_text == option.text || option.text == base_text)
+      {
+        continue
+      }
+      if (mine_text == base_text)
+      {
+        merged_dropdown.options[index] = Object.assign({}, option)
+        continue
+      }
+      conflicts.push({id: id, slot: 'extraState', kind: 'dropdown_text', field: dropdown.field,
+                      option: option.id, base: base_text, mine: mine_text, theirs: option.text})
+    }
+  }
+  return merged
+}
+
+// the position of a child block changes with its parent, that is no change
+function only_moved(block, base_block)
+{
+  var slots = block_slots(block)
+  var base_slots = block_slots(base_block)
+  delete slots.position
+  delete base_slots.position
+  return deep_equal(slots, base_slots)
+}
+
+/**
+ * Make the merged blocks a valid workspace again: a block is in one place
+ * only, connections to removed blocks are dropped and every block that is
+ * in no input or next is a top block. Blocks that are not reached from a
+ * top block (put under each other by the two sides) are a conflict, one of
+ * them is put at the top level.
+ * @param {!Object} blocks Merged blocks by id, fixed in place.
+ * @param {!Set<string>} removed Ids of the blocks removed by the merge.
+ * @param {!Object} files The base, mine and theirs files, mine decides
+ *     where a block that is in two places stays.
+ * @param {!Array} conflicts The conflicts, a block in two places or in a
+ *     cycle is added.
+ * @return {!Array<string>} The top block ids.
+ */
+function fix_structure(blocks, removed, files, conflicts)
+{
+  // child id to the places it is in, a place is 'parent_id slot'
+  var places = {}
+  var in_shadow = new Set()
+  for (const id of Object.keys(blocks))
+  {
+    var slots = block_slots(blocks[id])
+    for (const slot of Object.keys(slots))
+    {
+      if (slot.endsWith('.shadow'))
+      {
+        collect_ids(slots[slot], in_shadow)
+      }
+      if (!slot.endsWith('.block'))
+      {
+        continue
+      }
+      var child = slots[slot]
+      if (removed.has(child))
+      {
+        delete_connection(blocks[id], slot)
+      }
+      else
+      {
+        places[child] = (places[child] || []).concat([id + ' ' + slot])
+      }
+    }
+  }
+
+  for (const child of Object.keys(places).filter(child => places[child].length > 1))
+  {
+    var mine_place = block_place(files.mine, child)
+    var keep = places[child].includes(mine_place) ? mine_place : places[child][0]
+    for (const place of places[child].filter(place => place != keep))
+    {
+      var [id, slot] = place.split(' ')
+      delete_connection(blocks[id], slot)
+    }
+    places[child] = [keep]
+    conflicts.push({id: child, slot: null, kind: 'parent', base: block_place(files.base, child),
+                    mine: mine_place, theirs: block_place(files.theirs, child)})
+  }
+
+  var top_blocks = []
+  var candidates = [...files.mine.top_blocks, ...files.theirs.top_blocks, ...Object.keys(blocks)]
+  for (const id of candidates)
+  {
+    if (id in blocks && !places[id] && !in_shadow.has(id) && !top_blocks.includes(id))
+    {
+      top_blocks.push(id)
+    }
+  }
+
+  // blocks that each side put under the other (a cycle) are not reached from
+  // a top block, the cycle is broken by putting one of them at the top level
+  var reached = new Set()
+  function reach(id)
+  {
+    if (!(id in blocks) || reached.has(id))
+    {
+      return
+    }
+    reached.add(id)
+    var slots = block_slots(blocks[id])
+    Object.keys(slots).filter(slot => slot.endsWith('.block')).forEach(slot => reach(slots[slot]))
+  }
+  top_blocks.forEach(reach)
+  var unreached = candidates.filter(id => id in blocks && !reached.has(id) && !in_shadow.has(id))
+  for (const id of new Set(unreached))
+  {
+    if (!reached.has(id))
+    {
+      var [parent, slot] = places[id][0].split(' ')
+      delete_connection(blocks[parent], slot)
+      top_blocks.push(id)
+      reach(id)
+    }
+    if (!conflicts.some(conflict => conflict.id == id && conflict.kind == 'parent'))
+    {
+      conflicts.push({id: id, slot: null, kind: 'parent', base: block_place(files.base, id),
+                      mine: block_place(files.mine, id), theirs: block_place(files.theirs, id)})
+    }
+  }
+  return top_blocks
+}
+
+// the place of a block in a mergeable file, null for a top block
+function block_place(file, child)
+{
+  for (const id of Object.keys(file).filter(id => !MERGEABLE_KEYS.includes(id)))
+  {
+    var slots = block_slots(file[id])
+    var slot = Object.keys(slots).find(slot => slot.endsWith('.block') && slots[slot] == child)
+    if (slot)
+    {
+      return id + ' ' + slot
+    }
+  }
+  return null
+}
+
+function collect_ids(state, ids)
+{
+  if (state && typeof(state) == 'object')
+  {
+    if (state.id && state.type)
+    {
+      ids.add(state.id)
+    }
+    Object.values(state).forEach(value => collect_ids(value, ids))
+  }
+}
+
+function delete_connection(block, slot)
+{
+  var path = slot.split('.')
+  var connection = path[0] == 'next' ? block.next : block.inputs[path.slice(1, -1).join('.')]
+  delete connection.block
+  if (!connection.shadow)
+  {
+    if (path[0] == 'next')
+    {
+      delete block.next
+    }
+    else
+    {
+      delete block.inputs[path.slice(1, -1).join('.')]
+    }
+  }
+}
+
+/**
+ * Merge the workspace variables on their id.
+ * @return {Array} The merged variables, undefined if there are none.
+ */
+function merge_variables(base, mine, theirs, conflicts)
+{
+  if (!mine && !theirs)
+  {
+    return undefined
+  }
+  function by_id(variables)
+  {
+    var result = {}
+    for (const variable of variables || [])
+    {
+      result[variable.id] = variable
+    }
+    return result
+  }
+  var base_vars = by_id(base)
+  var mine_vars = by_id(mine)
+  var theirs_vars = by_id(theirs)
+  var merged = []
+  var ids = [...Object.keys(mine_vars), ...Object.keys(theirs_vars)]
+  for (const id of new Set(ids))
+  {
+    var result = merge_value(base_vars[id], mine_vars[id], theirs_vars[id])
+    if (result.conflict)
+    {
+      conflicts.push({id: id, slot: 'variables', kind: result.value ? 'changed' : 'removed',
+                      base: base_vars[id], mine: mine_vars[id], theirs: theirs_vars[id]})
+    }
+    // a variable removed on one side and renamed on the other is kept
+    var variable = result.value || (result.conflict ? theirs_vars[id] : undefined)
+    if (variable)
+    {
+      merged.push(variable)
+    }
+  }
+  return merged
+}
+
+/**
+ * Resolve a conflict of merge_mergeable in the merged file by taking the
+ * value of one side, the conflict record is removed from the file.
+ * @param {!Object} merged Merged mergeable file, changed in place.
+ * @param {!Object} conflict One of the conflicts of the merge.
+ * @param {string} side 'mine' or 'theirs'.
+ */
+function resolve_conflict(merged, conflict, side)
+{
+  var value = conflict[side]
+  if (conflict.slot == 'variables')
+  {
+    var variables = (merged.variables || []).filter(variable => variable.id != conflict.id)
+    merged.variables = value ? variables.concat([value]) : variables
+  }
+  else if (conflict.kind == 'removed' && !value)
+  {
+    remove_block(merged, conflict.id)
+  }
+  else if (conflict.kind == 'removed')
+  {
+    if (!merged[conflict.id])
+    {
+      merged.top_blocks.push(conflict.id)
+    }
+    merged[conflict.id] = JSON.parse(JSON.stringify(value))
+  }
+  else if (conflict.kind == 'parent')
+  {
+    place_block(merged, conflict.id, value)
+  }
+  else if (conflict.kind == 'dropdown_text')
+  {
+    var dropdown = merged[conflict.id].extraState.dropdowns.find(dropdown => dropdown.field == conflict.field)
+    dropdown.options.find(option => option.id == conflict.option).text = value
+  }
+  else if (conflict.id in merged)
+  {
+    var slots = block_slots(merged[conflict.id])
+    var replaced = slots[conflict.slot]
+    if (value === undefined)
+    {
+      delete slots[conflict.slot]
+    }
+    else
+    {
+      slots[conflict.slot] = value
+    }
+    if (conflict.slot.endsWith('.block'))
+    {
+      // the block of the other side is no longer in the input
+      if (replaced && replaced in merged)
+      {
+        merged.top_blocks.push(replaced)
+      }
+      if (value)
+      {
+        place_block(merged, value, null)
+        merged.top_blocks = merged.top_blocks.filter(id => id != value)
+      }
+    }
+    merged[conflict.id] = slots_block(conflict.id, slots)
+  }
+  if (merged.conflicts)
+  {
+    merged.conflicts = merged.conflicts.filter(other => !deep_equal(other, conflict))
+    if (!merged.conflicts.length)
+    {
+      delete merged.conflicts
+    }
+  }
+}
+
+/**
+ * Put a block of a mergeable file in another place.
+ * @param {!Object} merged Mergeable file, changed in place.
+ * @param {string} id Id of the block.
+ * @param {?string} place 'parent_id slot' as in a conflict, null to make it
+ *     a top block.
+ */
+function place_block(merged, id, place)
+{
+  var old_place = block_place(merged, id)
+  if (old_place)
+  {
+    var [parent, slot] = old_place.split(' ')
+    delete_connection(merged[parent], slot)
+  }
+  merged.top_blocks = merged.top_blocks.filter(top => top != id)
+  if (!place)
+  {
+    merged.top_blocks.push(id)
+    return
+  }
+  var [parent, slot] = place.split(' ')
+  var slots = block_slots(merged[parent])
+  var replaced = slots[slot]
+  if (replaced && replaced in merged)
+  {
+    merged.top_blocks.push(replaced)
+  }
+  slots[slot] = id
+  merged[parent] = slots_block(parent, slots)
+}
+
+function remove_block(merged, id)
+{
+  var place = block_place(merged, id)
+  if (place)
+  {
+    var [parent, slot] = place.split(' ')
+    delete_connection(merged[parent], slot)
+  }
+  var slots = block_slots(merged[id])
+  for (const slot of Object.keys(slots).filter(slot => slot.endsWith('.block')))
+  {
+    if (slots[slot] in merged)
+    {
+      merged.top_blocks.push(slots[slot])
+    }
+  }
+  delete merged[id]
+  merged.top_blocks = merged.top_blocks.filter(top => top != id)
+}
+
+if (typeof module !== 'undefined' && module.exports)
+{
+  module.exports = {
+    diff_three_way,
+    merge_mergeable,
+    resolve_conflict
+  }
+}
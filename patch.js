@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Portable patches of serialized Blockly workspaces: the diff
+ * of two workspaces as a list of operations that can be applied to another
+ * version of the workspace (another branch) and reversed. Blocks are
+ * anchored on their id, a block matched on its content has the previous id.
+ */
+'use strict';
+
+if (typeof module !== 'undefined' && module.exports)
+{
+  var { expand_mergeable, flatten_workspace, diff_flat, index_states, index_block_states } = require('./diff.js');
+}
+
+const PATCH_FORMAT = 'blockly-diff-patch';
+
+/**
+ * Patch from previous to mine. The operations are:
+ *   insert: a block of mine, with its shadows, put in input (or 'next') of
+ *       parent, children are the ids of the blocks in its inputs.
+ *   delete: a block of previous, the same as an insert the other way round.
+ *   connect: the block in input of id changed from previous to mine (null
+ *       when there is no block, or only a shadow).
+ *   field: field name of id changed from previous to mine.
+ *   extra_state: the extraState of id changed from previous to mine.
+ *   variable: the variable id changed from previous to mine (null when it
+ *       does not exist).
+ * @param {!Object} previous_json Serialized previous workspace.
+ * @param {!Object} mine_json Serialized mine workspace.
+ * @param {Object=} options Options of diff_workspaces.
+ * @return {!Object} The patch.
+ */
+function create_patch(previous_json, mine_json, options)
+{
+  var previous = flatten_workspace(previous_json)
+  var mine = flatten_workspace(mine_json)
+  var diff = diff_flat(previous, mine, options)
+  var previous_states = index_states(previous_json.mergeable ? expand_mergeable(previous_json) : previous_json)
+  var mine_states = index_states(mine_json.mergeable ? expand_mergeable(mine_json) : mine_json)
+
+  // blocks of mine that are also in previous are anchored on the previous id
+  var anchors = Object.create(null)
+  diff.matched.forEach(pair => anchors[pair.mine] = pair.previous)
+  var anchor = id => id == null ? null : (anchors[id] || id)
+  // a shadow is no block of its own in the patch
+  var real = (flat, id) => id != null && !flat.blocks[id].shadow ? id : null
+
+  var operations = []
+  for (const variable of diff.variables)
+  {
+    operations.push({
+      op: 'variable',
+      id: variable.previous_id || variable.id,
+      previous: variable.previous,
+      mine: variable.mine ? Object.assign({}, variable.mine, {id: variable.previous_id || variable.id}) : null
+    })
+  }
+  // children before their parent
+  var removed = new Set(diff.removed)
+  for (const id of Object.keys(previous.blocks).reverse())
+  {
+    if (removed.has(id) && !previous.blocks[id].shadow)
+    {
+      operations.push(block_operation('delete', previous, id, previous_states[id].state, id => id))
+    }
+  }
+  // parents before their children
+  var added = new Set(diff.added)
+  for (const id of Object.keys(mine.blocks))
+  {
+    if (added.has(id) && !mine.blocks[id].shadow)
+    {
+      operations.push(block_operation('insert', mine, id, mine_states[id].state, anchor))
+    }
+  }
+  for (const change of diff.connections)
+  {
+    var previous_target = real(previous, change.previous)
+    var mine_target = anchor(real(mine, change.mine))
+    if (previous_target != mine_target)
+    {
+      operations.push({op: 'connect', id: change.previous_id, input: change.input,
+                       previous: previous_target, mine: mine_target})
+    }
+  }
+  for (const change of diff.fields)
+  {
+    operations.push({op: 'field', id: change.previous_id, name: change.name,
+                     previous: change.previous, mine: change.mine})
+  }
+  for (const change of diff.extra_state)
+  {
+    operations.push({op: 'extra_state', id: change.previous_id, previous: change.previous, mine: change.mine})
+  }
+  return {
+    format: PATCH_FORMAT,
+    version: 1,
+    operations: operations
+  }
+}
+
+function block_operation(op, flat, id, state, anchor)
+{
+  var record = flat.blocks[id]
+  var children = {}
+  for (const input of Object.keys(record.connections))
+  {
+    var child = record.connections[input]
+    if (!flat.blocks[child].shadow)
+    {
+      children[input] = anchor(child)
+    }
+  }
+  return {
+    op: op,
+    id: id,
+    parent: anchor(record.parent),
+    input: record.input,
+    block: without_blocks(state),
+    children: children
+  }
+}
+
+// copy of a block state with only its shadows, not the blocks in its inputs
+function without_blocks(state)
+{
+  var copy = JSON.parse(JSON.stringify(state))
+  delete copy.next
+  for (const input of Object.keys(copy.inputs || {}))
+  {
+    delete copy.inputs[input].block
+    if (!copy.inputs[input].shadow)
+    {
+      delete copy.inputs[input]
+    }
+  }
+  if (copy.inputs && !Object.keys(copy.inputs).length)
+  {
+    delete copy.inputs
+  }
+  return copy
+}
+
+/**
+ * The patch that undoes a patch.
+ * @param {!Object} patch The patch.
+ * @return {!Object} The reversed patch.
+ * @throws {Error} When the patch is not a patch of a known version.
+ */
+function reverse_patch(patch)
+{
+  check_patch(patch)
+  var reversed_op = {insert: 'delete', delete: 'insert'}
+  var operations = patch.operations.slice().reverse().map(operation => {
+    var reversed = Object.assign({}, operation)
+    if (reversed_op[operation.op])
+    {
+      reversed.op = reversed_op[operation.op]
+    }
+    else
+    {
+      reversed.previous = operation.mine
+      reversed.mine = operation.previous
+    }
+    return reversed
+  })
+  return Object.assign({}, patch, {operations: operations})
+}
+
+/**
+ * Apply a patch to a serialized workspace. An operation of which an anchor
+ * (the block, the parent or a variable) does not exist is skipped and
+ * reported, a block inserted in a parent that does not exist is put at the
+ * top level.
+ * @param {!Object} json Serialized workspace, plain or mergeable, it is not
+ *     modified.
+ * @param {!Object} patch The patch, see create_patch.
+ * @return {!Object} The patched workspace (plain json) and the missing
+ *     anchors, each with the operation and the id that does not exist.
+ * @throws {Error} When the patch is not a patch of a known version.
+ */
+function apply_patch(json, patch)
+{
+  check_patch(patch)
+  json = JSON.parse(JSON.stringify(json.mergeable ? expand_mergeable(json) : json))
+  json.blocks = json.blocks || {languageVersion: 0, blocks: []}
+  json.blocks.blocks = json.blocks.blocks || []
+  var missing = []
+  var states = index_states(json)
+  // top blocks that are taken out leave a null until the end, so the keys of
+  // the others in the index stay right
+  var top_blocks = json.blocks.blocks
+
+  // take a block out of its place and put it at the top level
+  function detach(id)
+  {
+    var entry = states[id]
+    if (entry.holder === top_blocks)
+    {
+      return
+    }
+    delete entry.holder[entry.key]
+    cleanup_connections(entry.parent)
+    top_blocks.push(entry.state)
+    index_block_states(states, entry.state, top_blocks, top_blocks.length - 1, null)
+  }
+  // put a block (null for none) in an input of a parent, the block that was
+  // there goes to the top level
+  function connect(parent_id, input, id)
+  {
+    var parent = states[parent_id].state
+    var connection = input == 'next' ? parent.next : (parent.inputs || {})[input]
+    var current = connection && connection.block ? connection.block.id : null
+    if (current == id)
+    {
+      return
+    }
+    if (current != null)
+    {
+      detach(current)
+    }
+    if (id == null)
+    {
+      return
+    }
+    detach(id)
+    if (input == 'next')
+    {
+      connection = parent.next = parent.next || {}
+    }
+    else
+    {
+      parent.inputs = parent.inputs || {}
+      connection = parent.inputs[input] = parent.inputs[input] || {}
+    }
+    var state = states[id].state
+    top_blocks[states[id].key] = null
+    // only top blocks have coordinates
+    delete state.x
+    delete state.y
+    connection.block = state
+    index_block_states(states, state, connection, 'block', parent)
+  }
+  function require_anchor(operation, ...ids)
+  {
+    var absent = ids.filter(id => id != null && !states[id])
+    absent.forEach(id => missing.push({operation: operation, id: id}))
+    return absent.length == 0
+  }
+
+  var operations = patch.operations
+  for (const operation of operations.filter(operation => operation.op == 'variable'))
+  {
+    var variables = (json.variables || []).filter(variable => variable.id != operation.id)
+    json.variables = operation.mine ? variables.concat([operation.mine]) : variables
+  }
+  for (const operation of operations.filter(operation => operation.op == 'delete'))
+  {
+    if (!require_anchor(operation, operation.id))
+    {
+      continue
+    }
+    // the blocks in its inputs are put in place by their own operations
+    for (const child of Object.values(operation.children))
+    {
+      if (states[child])
+      {
+        detach(child)
+      }
+    }
+    detach(operation.id)
+    top_blocks[states[operation.id].key] = null
+    // its shadows go with it
+    for (const id of Object.keys(index_states({blocks: {blocks: [states[operation.id].state]}})))
+    {
+      delete states[id]
+    }
+  }
+  // a parent can be inserted after its children in a reversed patch
+  var inserts = operations.filter(operation => operation.op == 'insert')
+  var inserted = new Set(inserts.map(operation => operation.id))
+  while (inserts.length)
+  {
+    var ready = inserts.filter(operation => !inserted.has(operation.parent) || states[operation.parent])
+    if (!ready.length)
+    {
+      ready = inserts
+    }
+    for (const operation of ready)
+    {
+      if (states[operation.id])
+      {
+        // applied before
+        continue
+      }
+      top_blocks.push(JSON.parse(JSON.stringify(operation.block)))
+      index_block_states(states, top_blocks[top_blocks.length - 1], top_blocks, top_blocks.length - 1, null)
+      if (operation.parent != null && require_anchor(operation, operation.parent))
+      {
+        connect(operation.parent, operation.input, operation.id)
+      }
+    }
+    var done = new Set(ready)
+    inserts = inserts.filter(operation => !done.has(operation))
+  }
+  for (const operation of operations.filter(operation => operation.op == 'insert'))
+  {
+    for (const input of Object.keys(operation.children))
+    {
+      var child = operation.children[input]
+      if (states[operation.id] && require_anchor(operation, child))
+      {
+        connect(operation.id, input, child)
+      }
+    }
+  }
+  for (const operation of operations.filter(operation => operation.op == 'connect'))
+  {
+    if (require_anchor(operation, operation.id, operation.mine))
+    {
+      connect(operation.id, operation.input, operation.mine)
+    }
+  }
+  for (const operation of operations.filter(operation => operation.op == 'field' || operation.op == 'extra_state'))
+  {
+    if (!require_anchor(operation, operation.id))
+    {
+      continue
+    }
+    var state = states[operation.id].state
+    if (operation.op == 'extra_state')
+    {
+      set_or_delete(state, 'extraState', operation.mine)
+    }
+    else
+    {
+      state.fields = state.fields || {}
+      set_or_delete(state.fields, operation.name, operation.mine)
+    }
+  }
+  json.blocks.blocks = top_blocks.filter(state => state)
+  return {json: json, missing: missing}
+}
+
+function check_patch(patch)
+{
+  if (!patch || patch.format != PATCH_FORMAT)
+  {
+    throw new Error('not a ' + PATCH_FORMAT + ' file')
+  }
+  if (patch.version != 1 || !Array.isArray(patch.operations))
+  {
+    throw new Error('unsupported ' + PATCH_FORMAT + ' version ' + patch.version)
+  }
+}
+
+function set_or_delete(object, key, value)
+{
+  if (value === undefined || value === null)
+  {
+    delete object[key]
+  }
+  else
+  {
+    object[key] = JSON.parse(JSON.stringify(value))
+  }
+}
+
+// an input without block and shadow is not saved by Blockly
+function cleanup_connections(state)
+{
+  if (!state)
+  {
+    return
+  }
+  if (state.next && !state.next.block && !state.next.shadow)
+  {
+    delete state.next
+  }
+  for (const input of Object.keys(state.inputs || {}))
+  {
+    if (!state.inputs[input].block && !state.inputs[input].shadow)
+    {
+      delete state.inputs[input]
+    }
+  }
+  if (state.inputs && !Object.keys(state.inputs).length)
+  {
+    delete state.inputs
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports)
+{
+  module.exports = {
+    create_patch,
+    reverse_patch,
+    apply_patch
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Validation of serialized Blockly workspaces against the block
+ * definitions, for files that were merged or edited by hand. Needs Blockly
+ * and the block definitions of the editor, unlike diff.js and merge.js.
+ */
+'use strict';
+
+if (typeof module !== 'undefined' && module.exports)
+{
+  var Blockly = require('blockly');
+}
+
+/**
+ * Check every connection of a serialized workspace against the connection
+ * checks of the block definitions, the same check Blockly does on load.
+ * @param {!Object} json Serialized workspace (not mergeable), it is not
+ *     modified.
+ * @return {!Object} The violations, each with the id and type of the child
+ *     block, the id and type of the parent, the input ('next' for the next
+ *     block) and the reason. And the json without the violating connections,
+ *     the child blocks are put at the top level (except blocks of an unknown
+ *     type), so it loads.
+ */
+function check_connections(json)
+{
+  json = JSON.parse(JSON.stringify(json))
+  var violations = []
+  var scratch = new Blockly.Workspace()
+  Blockly.Events.disable()
+  try
+  {
+    var blocks = Object.create(null)
+    each_connection(json, (parent, input, child) => {
+      for (const state of [parent, child])
+      {
+        if (!(state.id in blocks))
+        {
+          blocks[state.id] = create_unconnected(state, scratch)
+        }
+      }
+    })
+    var detached = []
+    each_connection(json, (parent, input, child, connection, kind) => {
+      var unknown = [parent, child].find(state => !blocks[state.id])
+      var reason = unknown ? 'unknown block type ' + unknown.type :
+                             connection_problem(blocks[parent.id], input, blocks[child.id])
+      if (reason)
+      {
+        violations.push({id: child.id, type: child.type, parent: parent.id, parent_type: parent.type,
+                         input: input, reason: reason})
+        // a block of an unknown type can not be loaded at all
+        detached.push({connection: connection, kind: kind, keep: !unknown})
+      }
+    })
+    for (const {connection, kind, keep} of detached)
+    {
+      if (kind == 'block' && keep)
+      {
+        json.blocks.blocks.push(connection.block)
+      }
+      delete connection[kind]
+    }
+  }
+  finally
+  {
+    Blockly.Events.enable()
+    scratch.dispose()
+  }
+  return {violations: violations, json: json}
+}
+
+// call fn(parent, input, child, connection, kind) for every connected
+// block and shadow, kind is 'block' or 'shadow'
+function each_connection(json, fn)
+{
+  function visit(state)
+  {
+    var inputs = Object.assign({}, state.inputs || {})
+    if (state.next)
+    {
+      inputs.next = state.next
+    }
+    for (const input of Object.keys(inputs))
+    {
+      for (const kind of ['shadow', 'block'])
+      {
+        var child = inputs[input][kind]
+        if (child)
+        {
+          fn(state, input, child, inputs[input], kind)
+          visit(child)
+        }
+      }
+    }
+  }
+  ((json.blocks && json.blocks.blocks) || []).forEach(visit)
+}
+
+// the block of a state on its own, null if the type is not defined
+function create_unconnected(state, workspace)
+{
+  var copy = Object.assign({}, state)
+  delete copy.inputs
+  delete copy.next
+  delete copy.x
+  delete copy.y
+  try
+  {
+    return Blockly.serialization.blocks.append(copy, workspace, {recordUndo: false})
+  }
+  catch (error)
+  {
+    return null
+  }
+}
+
+/**
+ * Why a child can not be connected to an input of a parent.
+ * @return {?string} The reason, null when it can be connected.
+ */
+function connection_problem(parent, input, child)
+{
+  var connection = input == 'next' ? parent.nextConnection : (parent.getInput(input) || {}).connection
+  if (!connection)
+  {
+    return parent.type + ' has no ' + (input == 'next' ? 'next connection' : 'input ' + input)
+  }
+  var child_connection = connection.type == Blockly.connectionTypes.INPUT_VALUE ? child.outputConnection
+                                                                                 : child.previousConnection
+  if (!child_connection)
+  {
+    return child.type + ' has no ' +
+           (connection.type == Blockly.connectionTypes.INPUT_VALUE ? 'output' : 'previous') + ' connection'
+  }
+  var checker = connection.getConnectionChecker()
+  var result = checker.canConnectWithReason(connection, child_connection, false)
+  if (result == Blockly.Connection.CAN_CONNECT)
+  {
+    return null
+  }
+  return checker.getErrorMessage(result, connection, child_connection)
+}
+
+/**
+ * The blocks that are not where the serialized workspace puts them after
+ * it was loaded, like blocks that Blockly put at the top level.
+ * @param {!Object} json The serialized workspace that was loaded.
+ * @param {!Blockly.Workspace} workspace The workspace it was loaded in.
+ * @return {!Array} Id, type, the parent and input it should be in and the
+ *     parent it is in (null for the top level, undefined when the block was
+ *     not loaded at all).
+ */
+function find_bumped(json, workspace)
+{
+  var bumped = []
+  each_connection(json, (parent, input, child, connection, kind) => {
+    // Blockly disposes a shadow that is covered by a block
+    if (kind == 'shadow' && connection.block)
+    {
+      return
+    }
+    var block = workspace.getBlockById(child.id)
+    var actual = block ? (block.getParent() ? block.getParent().id : null) : undefined
+    if (actual !== parent.id)
+    {
+      bumped.push({id: child.id, type: child.type, parent: parent.id, input: input, actual: actual})
+    }
+  })
+  return bumped
+}
+
+if (typeof module !== 'undefined' && module.exports)
+{
+  module.exports = {
+    check_connections,
+    find_bumped
+  }
+}